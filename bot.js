@@ -1,51 +1,47 @@
 // Telegram bot implementation using CommonJS syntax
-const { Telegraf } = require("telegraf")
-const fs = require("fs")
-const path = require("path")
+const { Telegraf, Markup } = require("telegraf")
 const dotenv = require("dotenv")
 const { v4: uuidv4 } = require("uuid")
+const { getStore } = require("./lib/storage")
+const { findLinkedUser, consumeLinkCode, unlinkTelegram } = require("./lib/telegramLinks")
+const { normalizePhone } = require("./lib/phone")
+const { startOutboxWorker, stopOutboxWorker, notifyUser } = require("./lib/notifications")
+const { summarizeTest, setTestPublished, testAvailability, availableTests } = require("./lib/tests")
+const { recentResults, platformStats } = require("./lib/results")
+const { buildPaper } = require("./lib/paper")
+const { testAtVersion } = require("./lib/testVersions")
+const { membersOfGroups } = require("./lib/groups")
+const {
+  finalizeExpiredAttempts,
+  startAttempt,
+  saveAttemptAnswers,
+  submitAttempt,
+  remainingSeconds,
+} = require("./lib/attempts")
 
 // Load environment variables
 dotenv.config()
 
-// Create data directory if it doesn't exist
-const dataDir = path.join(__dirname, "data")
-try {
-  if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir, { recursive: true })
-  }
-} catch (err) {
-  console.error("Error creating data directory:", err)
-}
+// Collections in the shared data store (the same one the API server uses)
+const VERIFICATION_FILE = "verifications"
+const NOTIFICATIONS_FILE = "notifications"
+const RESULTS_FILE = "results"
+const TESTS_FILE = "tests"
+const ATTEMPTS_FILE = "attempts"
+
+// Option labels shown in questions and on the answer buttons
+const OPTION_LETTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ"
 
-// Database files
-const USERS_FILE = path.join(dataDir, "users.json")
-const VERIFICATION_FILE = path.join(dataDir, "verifications.json")
-const NOTIFICATIONS_FILE = path.join(dataDir, "notifications.json")
+// Where each Telegram user is in their current test: { attemptId, index, awaitingText }
+const testSessions = new Map()
 
 // Helper functions for database operations
-function readData(file) {
-  try {
-    if (!fs.existsSync(file)) {
-      fs.writeFileSync(file, JSON.stringify([]))
-      return []
-    }
-    const data = fs.readFileSync(file, "utf8")
-    return JSON.parse(data)
-  } catch (err) {
-    console.error(`Error reading ${file}:`, err)
-    return []
-  }
+function readData(collection) {
+  return getStore().read(collection)
 }
 
-function writeData(file, data) {
-  try {
-    fs.writeFileSync(file, JSON.stringify(data, null, 2))
-    return true
-  } catch (err) {
-    console.error(`Error writing to ${file}:`, err)
-    return false
-  }
+function writeData(collection, data) {
+  return getStore().write(collection, data)
 }
 
 /**
@@ -83,17 +79,24 @@ function initializeBot(token, mode = "polling") {
         })
         .then(() => {
           console.log("Telegram bot initialized with polling mode for development")
-          // Send pending notifications on startup
-          sendPendingNotifications(bot)
         })
         .catch((err) => {
           console.error("Error launching bot:", err)
         })
     }
 
+    // Deliver queued notifications in both polling and webhook mode
+    startOutboxWorker(bot.telegram)
+
     // Enable graceful stop
-    process.once("SIGINT", () => bot.stop("SIGINT"))
-    process.once("SIGTERM", () => bot.stop("SIGTERM"))
+    process.once("SIGINT", () => {
+      stopOutboxWorker()
+      bot.stop("SIGINT")
+    })
+    process.once("SIGTERM", () => {
+      stopOutboxWorker()
+      bot.stop("SIGTERM")
+    })
 
     return bot
   } catch (error) {
@@ -111,40 +114,28 @@ function setupCommandHandlers(bot) {
   // Handle /start command
   bot.start(async (ctx) => {
     try {
-      const chatId = ctx.chat.id
       const username = ctx.from.username
 
-      if (!username) {
-        return ctx.reply("Iltimos, Telegram profilingizda username o'rnating va qayta urinib ko'ring.")
+      // Opened through the registration deep link (t.me/<bot>?start=<token>)
+      if (ctx.payload) {
+        return deliverVerificationByToken(ctx, ctx.payload.trim())
       }
 
-      // Save user to database
-      const users = readData(USERS_FILE)
-
-      const existingUser = users.find((user) => user.chatId === chatId || (username && user.username === username))
+      const user = findLinkedUser(telegramIdentity(ctx))
 
-      if (!existingUser) {
-        users.push({
-          chatId,
-          username,
-          firstName: ctx.from.first_name,
-          lastName: ctx.from.last_name,
-          registeredAt: new Date().toISOString(),
-        })
-
-        writeData(USERS_FILE, users)
-      } else if (existingUser.chatId !== chatId) {
-        // Update chat ID if it has changed
-        existingUser.chatId = chatId
-        writeData(USERS_FILE, users)
+      if (!username && !user) {
+        return ctx.reply("Iltimos, Telegram profilingizda username o'rnating va qayta urinib ko'ring.")
       }
 
-      ctx.reply(`Salom, ${ctx.from.first_name}! Test platformasi botiga xush kelibsiz. Bu bot orqali ro'yxatdan o'tish va test natijalarini olishingiz mumkin.
+      ctx.reply(`Salom, ${user ? user.name : ctx.from.first_name}! Test platformasi botiga xush kelibsiz. Bu bot orqali ro'yxatdan o'tish va test natijalarini olishingiz mumkin.
 
 Mavjud buyruqlar:
 /start - Botni ishga tushirish
 /help - Yordam olish
 /code - Tasdiqlash kodini olish
+/link - Hisobni bog'lash
+/unlink - Hisobni uzish
+/tests - Testlarni ishlash
 /results - Test natijalarini ko'rish`)
 
       // Check for pending verification codes
@@ -162,6 +153,9 @@ Mavjud buyruqlar:
 /start - Botni ishga tushirish
 /help - Ushbu qo'llanmani ko'rish
 /code - Tasdiqlash kodini olish
+/link <kod> - Platformadagi hisobni Telegramga bog'lash
+/unlink - Hisobni Telegramdan uzish
+/tests - E'lon qilingan testlar ro'yxati va testni boshlash
 /results - Test natijalarini ko'rish`)
   })
 
@@ -183,28 +177,65 @@ Mavjud buyruqlar:
     }
   })
 
-  // Show test results
-  bot.command("results", async (ctx) => {
+  // Link a platform account with the code shown on the website
+  bot.command("link", async (ctx) => {
     try {
-      const username = ctx.from.username
+      const code = ctx.message.text.split(/\s+/)[1]
 
-      if (!username) {
-        return ctx.reply("Iltimos, Telegram profilingizda username o'rnating va qayta urinib ko'ring.")
+      if (!code) {
+        return ctx.reply("Kodni kiriting: /link 123456. Kodni platformadagi profil sahifasidan oling.")
+      }
+
+      const { link, blocked } = consumeLinkCode(code.trim(), telegramIdentity(ctx))
+
+      if (blocked) {
+        return ctx.reply("Noto'g'ri kod juda ko'p marta kiritildi. 15 daqiqadan keyin qayta urinib ko'ring.")
       }
 
-      // Find user in the database
-      const users = readData(USERS_FILE)
-      const user = users.find((u) => u.username === username)
+      if (!link) {
+        return ctx.reply("Noto'g'ri yoki muddati o'tgan kod.")
+      }
+
+      const user = findLinkedUser(telegramIdentity(ctx))
+      ctx.reply(`Hisobingiz bog'landi${user ? `: ${user.name}` : ""}.`)
+    } catch (err) {
+      console.error("Error linking account:", err)
+      ctx.reply("Xatolik yuz berdi. Iltimos, keyinroq qayta urinib ko'ring.")
+    }
+  })
+
+  bot.command("unlink", async (ctx) => {
+    try {
+      const user = findLinkedUser(telegramIdentity(ctx))
+
+      if (!user) {
+        return ctx.reply("Bu Telegram hisobi platformaga bog'lanmagan.")
+      }
+
+      unlinkTelegram(user.id)
+      ctx.reply("Hisobingiz Telegramdan uzildi.")
+    } catch (err) {
+      console.error("Error unlinking account:", err)
+      ctx.reply("Xatolik yuz berdi. Iltimos, keyinroq qayta urinib ko'ring.")
+    }
+  })
+
+  // Show test results
+  bot.command("results", async (ctx) => {
+    try {
+      // Find the platform user linked to this Telegram account
+      const user = findLinkedUser(telegramIdentity(ctx))
 
       if (!user) {
-        return ctx.reply("Siz hali test platformasida ro'yxatdan o'tmagansiz.")
+        return ctx.reply(
+          "Bu Telegram hisobi platformaga bog'lanmagan. Ro'yxatdan o'ting yoki /link buyrug'i bilan hisobingizni bog'lang.",
+        )
       }
 
       // Get user's results
-      const results = readData(path.join(dataDir, "results.json"))
-      const tests = readData(path.join(dataDir, "tests.json"))
+      const tests = readData(TESTS_FILE)
 
-      const userResults = results.filter((r) => r.userId === user.id)
+      const userResults = getStore().find(RESULTS_FILE, { userId: user.id })
 
       if (userResults.length === 0) {
         return ctx.reply("Siz hali birorta ham test topshirmagansiz.")
@@ -227,6 +258,22 @@ Mavjud buyruqlar:
     }
   })
 
+  // Shared contact during registration: confirm the phone number entered on the website
+  bot.on("contact", async (ctx) => {
+    try {
+      confirmContact(ctx, ctx.message.contact)
+    } catch (err) {
+      console.error("Error handling contact:", err)
+      ctx.reply("Xatolik yuz berdi. Iltimos, keyinroq qayta urinib ko'ring.")
+    }
+  })
+
+  // Taking tests inside the bot
+  setupTestHandlers(bot)
+
+  // Admin commands
+  setupAdminHandlers(bot)
+
   // Handle text messages
   bot.on("text", async (ctx) => {
     try {
@@ -265,7 +312,663 @@ Mavjud buyruqlar:
 }
 
 /**
- * Check for pending verification codes for a user
+ * Set up the commands and buttons used to take tests in the bot
+ * Attempts go through lib/attempts, exactly like attempts started on the website.
+ * @param {Telegraf} bot - The Telegram bot instance
+ */
+function setupTestHandlers(bot) {
+  // List the tests the user can take right now
+  bot.command("tests", async (ctx) => {
+    try {
+      const user = findLinkedUser(telegramIdentity(ctx))
+
+      if (!user) {
+        return ctx.reply("Test ishlash uchun avval hisobingizni /link buyrug'i bilan bog'lang.")
+      }
+
+      // Same rules as the website: assigned groups, availability window and attempt limit
+      finalizeExpiredAttempts()
+      const tests = availableTests(user)
+
+      if (tests.length === 0) {
+        return ctx.reply("Hozircha siz ishlashingiz mumkin bo'lgan testlar yo'q.")
+      }
+
+      const buttons = tests.map(({ test, availability }) => {
+        const summary = summarizeTest(test)
+        const attemptsLeft = availability.attemptsLeft !== null ? `, ${availability.attemptsLeft} urinish qoldi` : ""
+        return [
+          Markup.button.callback(
+            `${availability.running ? "⏯" : "▶️"} ${summary.title} (${summary.questionCount} savol, ${summary.duration} daqiqa${attemptsLeft})`,
+            `ts:${test.id}`,
+          ),
+        ]
+      })
+
+      ctx.reply("Mavjud testlar. Boshlash uchun testni tanlang:", Markup.inlineKeyboard(buttons))
+    } catch (err) {
+      console.error("Error listing tests:", err)
+      ctx.reply("Xatolik yuz berdi. Iltimos, keyinroq qayta urinib ko'ring.")
+    }
+  })
+
+  // Start or resume a test
+  bot.action(/^ts:(.+)$/, async (ctx) => {
+    await handleTestAction(ctx, async (user) => {
+      const test = readData(TESTS_FILE).find((t) => t.id === ctx.match[1])
+
+      if (!test) {
+        return ctx.answerCbQuery("Test topilmadi")
+      }
+
+      finalizeExpiredAttempts()
+      const availability = testAvailability(test, user)
+      if (!availability.available) {
+        return ctx.answerCbQuery(availability.message)
+      }
+
+      const { attempt, created } = startAttempt(test, user.id)
+      const pinned = testAtVersion(test, attempt.versionId)
+      await ctx.answerCbQuery(created ? "Test boshlandi" : "Test davom ettirilmoqda")
+      await ctx.reply(
+        `"${pinned.title}"\nSavollar: ${buildPaper(pinned, attempt.seed).length}\nQolgan vaqt: ${formatTime(remainingSeconds(attempt))}`,
+      )
+      await showQuestion(ctx, attempt, pinned, 0)
+    })
+  })
+
+  // Go to a question
+  bot.action(/^tq:([^:]+):(\d+)$/, async (ctx) => {
+    await handleAttemptAction(ctx, async ({ attempt, test }) => {
+      await ctx.answerCbQuery()
+      await showQuestion(ctx, attempt, test, Number(ctx.match[2]), { edit: true })
+    })
+  })
+
+  // Choose an option (multiple-choice) or toggle it (multiple-answer)
+  bot.action(/^to:([^:]+):(\d+):(\d+)$/, async (ctx) => {
+    await handleAttemptAction(ctx, async ({ attempt, test, paper }) => {
+      const index = Number(ctx.match[2])
+      const question = paper[index]
+      const option = question && (question.options || [])[Number(ctx.match[3])]
+
+      if (!option) {
+        return ctx.answerCbQuery("Variant topilmadi")
+      }
+
+      const previous = findAnswer(attempt, question.id)
+      let answer
+      if (question.type === "multiple-answer") {
+        const selected = (previous && previous.selectedOptions) || []
+        answer = {
+          questionId: question.id,
+          selectedOptions: selected.includes(option.id)
+            ? selected.filter((id) => id !== option.id)
+            : [...selected, option.id],
+        }
+      } else {
+        answer = { questionId: question.id, optionId: option.id }
+      }
+
+      const saved = saveAttemptAnswers(attempt, withAnswer(attempt.savedAnswers, answer))
+      await ctx.answerCbQuery("Javob saqlandi")
+
+      // A single choice moves on to the next question; toggles stay on the same one
+      const next = question.type === "multiple-answer" ? index : Math.min(index + 1, paper.length - 1)
+      await showQuestion(ctx, saved, test, next, { edit: true })
+    })
+  })
+
+  // Ask before finishing
+  bot.action(/^tf:([^:]+)$/, async (ctx) => {
+    await handleAttemptAction(ctx, async ({ attempt, paper }) => {
+      const unanswered = paper.filter((q) => !isAnswered(findAnswer(attempt, q.id))).length
+      await ctx.answerCbQuery()
+      await ctx.editMessageText(
+        `Testni yakunlaysizmi?${unanswered > 0 ? `\nJavob berilmagan savollar: ${unanswered}` : ""}`,
+        Markup.inlineKeyboard([
+          [Markup.button.callback("🏁 Ha, yakunlash", `tF:${attempt.id}`)],
+          [Markup.button.callback("⬅️ Testga qaytish", `tq:${attempt.id}:0`)],
+        ]),
+      )
+    })
+  })
+
+  // Finish the attempt
+  bot.action(/^tF:([^:]+)$/, async (ctx) => {
+    await handleAttemptAction(ctx, async ({ attempt, test }) => {
+      await ctx.answerCbQuery()
+      await finishAttempt(ctx, attempt, test)
+    })
+  })
+
+  // Typed answers to text and numeric questions
+  bot.on("text", async (ctx, next) => {
+    const session = testSessions.get(ctx.from.id)
+    if (!session || !session.awaitingText || ctx.message.text.startsWith("/")) {
+      return next()
+    }
+
+    try {
+      const context = loadAttempt(ctx, session.attemptId)
+      if (!context) return
+
+      const { attempt, test, paper } = context
+      const question = paper[session.index]
+      const saved = saveAttemptAnswers(
+        attempt,
+        withAnswer(attempt.savedAnswers, { questionId: question.id, text: ctx.message.text.trim() }),
+      )
+
+      await ctx.reply("Javob saqlandi.")
+      await showQuestion(ctx, saved, test, Math.min(session.index + 1, paper.length - 1))
+    } catch (err) {
+      console.error("Error saving text answer:", err)
+      ctx.reply("Xatolik yuz berdi. Iltimos, keyinroq qayta urinib ko'ring.")
+    }
+  })
+}
+
+/**
+ * Group whose name starts the text, ignoring case; names may contain spaces, so the longest
+ * name followed by a space (or the end of the text) wins
+ * @param {string} text - Text after the "#"
+ * @returns {Object|null} Stored group
+ */
+function findGroupByPrefix(text) {
+  const lower = text.toLowerCase()
+  return (
+    getStore()
+      .read("groups")
+      .filter((g) => {
+        const name = g.name.toLowerCase()
+        return lower.startsWith(name) && (lower.length === name.length || /\s/.test(lower[name.length]))
+      })
+      .sort((a, b) => b.name.length - a.name.length)[0] || null
+  )
+}
+
+/**
+ * Set up admin-only commands; they require a Telegram account linked to an admin user
+ * @param {Telegraf} bot - The Telegram bot instance
+ */
+function setupAdminHandlers(bot) {
+  bot.command("admin", async (ctx) => {
+    await handleAdminCommand(ctx, () =>
+      ctx.reply(`Admin buyruqlari:
+
+/stats - Platforma statistikasi
+/testresults - Test bo'yicha so'nggi natijalar
+/publish - Testni e'lon qilish
+/unpublish - Testni e'londan olish
+/broadcast <xabar> - Barcha bog'langan talabalarga xabar yuborish
+/broadcast #<guruh> <xabar> - Faqat guruh a'zolariga xabar yuborish`),
+    )
+  })
+
+  bot.command("stats", async (ctx) => {
+    await handleAdminCommand(ctx, () => {
+      const stats = platformStats()
+
+      ctx.reply(`Platforma statistikasi:
+
+Foydalanuvchilar: ${stats.users} (talabalar: ${stats.students})
+Telegram bog'langan: ${stats.linkedTelegram}
+Testlar: ${stats.tests} (e'lon qilingan: ${stats.publishedTests})
+Natijalar: ${stats.results} (so'nggi 7 kunda: ${stats.resultsLastWeek})
+O'rtacha ball: ${stats.averageScore.toFixed(2)}%
+Davom etayotgan urinishlar: ${stats.attemptsInProgress}`)
+    })
+  })
+
+  bot.command("testresults", async (ctx) => {
+    await handleAdminCommand(ctx, () =>
+      replyWithTestPicker(
+        ctx,
+        readData(TESTS_FILE).filter((t) => !t.archived),
+        "ar",
+        "Qaysi test natijalari?",
+      ),
+    )
+  })
+
+  bot.command("publish", async (ctx) => {
+    await handleAdminCommand(ctx, () =>
+      replyWithTestPicker(
+        ctx,
+        readData(TESTS_FILE).filter((t) => !t.published && !t.archived),
+        "ap",
+        "Qaysi testni e'lon qilasiz?",
+      ),
+    )
+  })
+
+  bot.command("unpublish", async (ctx) => {
+    await handleAdminCommand(ctx, () =>
+      replyWithTestPicker(
+        ctx,
+        readData(TESTS_FILE).filter((t) => t.published && !t.archived),
+        "au",
+        "Qaysi testni e'londan olasiz?",
+      ),
+    )
+  })
+
+  // Queue a message for every student with a linked Telegram account, or only for the
+  // members of a group: /broadcast #<group name> <message>
+  bot.command("broadcast", async (ctx) => {
+    await handleAdminCommand(ctx, () => {
+      let message = ctx.message.text.replace(/^\/broadcast(@\S+)?\s*/, "").trim()
+      let group = null
+
+      if (message.startsWith("#")) {
+        group = findGroupByPrefix(message.slice(1))
+
+        if (!group) {
+          const names = getStore()
+            .read("groups")
+            .map((g) => `#${g.name}`)
+          return ctx.reply(names.length > 0 ? `Guruh topilmadi. Guruhlar:\n${names.join("\n")}` : "Guruhlar yo'q.")
+        }
+
+        message = message.slice(1 + group.name.length).trim()
+      }
+
+      if (!message) {
+        return ctx.reply("Xabar matnini kiriting: /broadcast Ertaga soat 10:00 da imtihon")
+      }
+
+      const memberIds = group ? membersOfGroups([group.id]) : null
+      const queued = getStore()
+        .find("users", { role: "student" })
+        .filter((user) => !memberIds || memberIds.includes(user.id))
+        .filter((user) => notifyUser(user, "broadcast", message)).length
+
+      ctx.reply(
+        group
+          ? `Xabar "${group.name}" guruhining ${queued} ta talabasiga yuborish uchun navbatga qo'yildi.`
+          : `Xabar ${queued} ta talabaga yuborish uchun navbatga qo'yildi.`,
+      )
+    })
+  })
+
+  // Recent results of a test
+  bot.action(/^ar:(.+)$/, async (ctx) => {
+    await handleAdminCommand(ctx, async () => {
+      const test = readData(TESTS_FILE).find((t) => t.id === ctx.match[1])
+      await ctx.answerCbQuery()
+
+      if (!test) {
+        return ctx.reply("Test topilmadi.")
+      }
+
+      const results = recentResults(test.id, 10)
+
+      if (results.length === 0) {
+        return ctx.reply(`"${test.title}" testini hali hech kim topshirmagan.`)
+      }
+
+      const lines = results.map(
+        (r, index) =>
+          `${index + 1}. ${r.userName} — ${r.score.toFixed(2)}% (${r.correctCount}/${r.totalQuestions}), ${new Date(
+            r.submittedAt,
+          ).toLocaleString("uz-UZ")}`,
+      )
+      ctx.reply(`"${test.title}" testining so'nggi natijalari:\n\n${lines.join("\n")}`)
+    })
+  })
+
+  // Publish / unpublish
+  bot.action(/^a([pu]):(.+)$/, async (ctx) => {
+    await handleAdminCommand(ctx, async (admin) => {
+      const published = ctx.match[1] === "p"
+      const test = setTestPublished(ctx.match[2], published, admin.id)
+      await ctx.answerCbQuery()
+
+      if (!test) {
+        return ctx.reply("Test topilmadi.")
+      }
+
+      ctx.editMessageText(`"${test.title}" ${published ? "e'lon qilindi" : "e'londan olindi"}.`)
+    })
+  })
+}
+
+/**
+ * Run an admin command or button handler if the sender is a linked admin
+ */
+async function handleAdminCommand(ctx, handler) {
+  try {
+    const user = findLinkedUser(telegramIdentity(ctx))
+
+    if (!user || user.role !== "admin") {
+      const message = "Bu buyruq faqat platformaga bog'langan adminlar uchun."
+      return ctx.callbackQuery ? ctx.answerCbQuery(message) : ctx.reply(message)
+    }
+
+    await handler(user)
+  } catch (err) {
+    console.error("Error handling admin command:", err)
+    ctx.reply("Xatolik yuz berdi. Iltimos, keyinroq qayta urinib ko'ring.")
+  }
+}
+
+/**
+ * Reply with one button per test; the button data is "<action>:<testId>"
+ */
+function replyWithTestPicker(ctx, tests, action, prompt) {
+  if (tests.length === 0) {
+    return ctx.reply("Mos test topilmadi.")
+  }
+
+  ctx.reply(prompt, Markup.inlineKeyboard(tests.map((test) => [Markup.button.callback(test.title, `${action}:${test.id}`)])))
+}
+
+/**
+ * Run a test button handler for the linked user, with shared error handling
+ */
+async function handleTestAction(ctx, handler) {
+  try {
+    const user = findLinkedUser(telegramIdentity(ctx))
+
+    if (!user) {
+      return ctx.answerCbQuery("Avval hisobingizni /link buyrug'i bilan bog'lang")
+    }
+
+    await handler(user)
+  } catch (err) {
+    console.error("Error handling test action:", err)
+    ctx.answerCbQuery("Xatolik yuz berdi")
+  }
+}
+
+/**
+ * Run a button handler for a running attempt (ctx.match[1] is the attempt id)
+ */
+async function handleAttemptAction(ctx, handler) {
+  await handleTestAction(ctx, async () => {
+    const context = loadAttempt(ctx, ctx.match[1])
+    if (context) await handler(context)
+  })
+}
+
+/**
+ * Load a running attempt of the sender with its test and paper
+ * Replies and returns null when the attempt is gone, finished or out of time.
+ */
+function loadAttempt(ctx, attemptId) {
+  const user = findLinkedUser(telegramIdentity(ctx))
+  const attempt = getStore().find(ATTEMPTS_FILE, { id: attemptId })[0]
+
+  if (!user || !attempt || attempt.userId !== user.id) {
+    testSessions.delete(ctx.from.id)
+    ctx.reply("Urinish topilmadi. Testlar ro'yxati: /tests")
+    return null
+  }
+
+  const test = readData(TESTS_FILE).find((t) => t.id === attempt.testId)
+
+  if (!test) {
+    testSessions.delete(ctx.from.id)
+    ctx.reply("Test topilmadi.")
+    return null
+  }
+
+  if (attempt.status !== "in-progress") {
+    testSessions.delete(ctx.from.id)
+    const result = attempt.resultId && getStore().find(RESULTS_FILE, { id: attempt.resultId })[0]
+    ctx.reply(result ? formatResult(test, result) : "Bu urinish allaqachon yakunlangan.")
+    return null
+  }
+
+  // Time is up: grade what was saved, like the website does
+  if (remainingSeconds(attempt) === 0) {
+    finishAttempt(ctx, attempt, test)
+    return null
+  }
+
+  // Questions come from the version the attempt was started on
+  const pinned = testAtVersion(test, attempt.versionId)
+  return { attempt, test: pinned, paper: buildPaper(pinned, attempt.seed) }
+}
+
+/**
+ * Show one question of an attempt with its answer buttons
+ * @param {Object} options - { edit: replace the message the button belongs to }
+ */
+async function showQuestion(ctx, attempt, test, index, { edit = false } = {}) {
+  const paper = buildPaper(test, attempt.seed)
+  const question = paper[index]
+
+  if (!question) {
+    return ctx.reply("Savol topilmadi.")
+  }
+
+  const answer = findAnswer(attempt, question.id)
+  const lines = [`Savol ${index + 1}/${paper.length} · Qolgan vaqt: ${formatTime(remainingSeconds(attempt))}`, "", question.text]
+  const rows = []
+
+  if (question.image) {
+    lines.push("", `Rasm: ${process.env.APP_BASE_URL || process.env.API_BASE_URL || ""}${question.image}`)
+  }
+
+  if (question.type === "multiple-choice" || question.type === "multiple-answer") {
+    const selected = answer ? answer.selectedOptions || [answer.optionId] : []
+
+    lines.push("")
+    question.options.forEach((option, i) => lines.push(`${OPTION_LETTERS[i]}) ${option.text}`))
+    if (question.type === "multiple-answer") {
+      lines.push("", "Bir nechta to'g'ri javob bo'lishi mumkin. Tanlash yoki bekor qilish uchun bosing.")
+    }
+
+    const buttons = question.options.map((option, i) =>
+      Markup.button.callback(
+        `${selected.includes(option.id) ? "✅ " : ""}${OPTION_LETTERS[i]}`,
+        `to:${attempt.id}:${index}:${i}`,
+      ),
+    )
+    for (let i = 0; i < buttons.length; i += 4) rows.push(buttons.slice(i, i + 4))
+  } else {
+    lines.push("", answer && answer.text ? `Sizning javobingiz: ${answer.text}` : "Javobingizni xabar qilib yozing.")
+  }
+
+  // Typed answers go to the question on screen
+  testSessions.set(ctx.from.id, {
+    attemptId: attempt.id,
+    index,
+    awaitingText: question.type === "text" || question.type === "numeric",
+  })
+
+  const navigation = []
+  if (index > 0) navigation.push(Markup.button.callback("⬅️", `tq:${attempt.id}:${index - 1}`))
+  if (index < paper.length - 1) navigation.push(Markup.button.callback("➡️", `tq:${attempt.id}:${index + 1}`))
+  if (navigation.length > 0) rows.push(navigation)
+  rows.push([Markup.button.callback("🏁 Yakunlash", `tf:${attempt.id}`)])
+
+  const text = lines.join("\n")
+  const keyboard = Markup.inlineKeyboard(rows)
+
+  if (edit) {
+    try {
+      return await ctx.editMessageText(text, keyboard)
+    } catch (err) {
+      // Telegram refuses edits that change nothing; anything else gets a fresh message
+      if (err.description && err.description.includes("message is not modified")) return
+    }
+  }
+
+  return ctx.reply(text, keyboard)
+}
+
+/**
+ * Submit an attempt with its saved answers and show the result
+ */
+async function finishAttempt(ctx, attempt, test) {
+  testSessions.delete(ctx.from.id)
+
+  // The student sees the result right here, so no separate notification is queued
+  const { result } = submitAttempt(attempt, test, attempt.savedAnswers || [], { notify: false })
+  await ctx.reply(formatResult(test, result))
+}
+
+/**
+ * Result summary shown after a test
+ */
+function formatResult(test, result) {
+  return [
+    `"${test.title}" testi yakunlandi.`,
+    `Ball: ${result.earnedPoints}/${result.maxPoints} (${result.score.toFixed(2)}%)`,
+    `To'g'ri javoblar: ${result.correctCount}/${result.totalQuestions}`,
+    `Sarflangan vaqt: ${formatTime(result.timeSpent)}`,
+    result.late ? "Vaqt tugagani sababli saqlangan javoblar hisoblandi." : null,
+  ]
+    .filter((line) => line !== null)
+    .join("\n")
+}
+
+const findAnswer = (attempt, questionId) => (attempt.savedAnswers || []).find((a) => a.questionId === questionId)
+
+// Replace the saved answer to a question
+const withAnswer = (answers, answer) => [...(answers || []).filter((a) => a.questionId !== answer.questionId), answer]
+
+const isAnswered = (answer) =>
+  Boolean(answer && (answer.optionId || (answer.selectedOptions && answer.selectedOptions.length > 0) || answer.text))
+
+/**
+ * Telegram identity of the sender, used to resolve linked platform users
+ * @param {Object} ctx - Telegram context
+ */
+function telegramIdentity(ctx) {
+  return {
+    chatId: ctx.chat.id,
+    telegramUserId: ctx.from.id,
+    telegramUsername: ctx.from.username,
+  }
+}
+
+/**
+ * Bind a verification to the Telegram account that opened its deep link and send the code
+ * A link works only for the first Telegram account that opens it.
+ * @param {Object} ctx - Telegram context
+ * @param {string} token - Start payload from the deep link
+ */
+function deliverVerificationByToken(ctx, token) {
+  try {
+    const verifications = readData(VERIFICATION_FILE)
+    const verification = verifications.find(
+      (v) => v.startToken === token && v.status === "pending" && new Date(v.expiresAt) > new Date(),
+    )
+
+    if (!verification) {
+      return ctx.reply("Havola yaroqsiz yoki muddati o'tgan. Iltimos, web saytda ro'yxatdan o'tishni qaytadan boshlang.")
+    }
+
+    if (verification.telegramUserId && verification.telegramUserId !== ctx.from.id) {
+      return ctx.reply("Bu havola boshqa Telegram hisobi tomonidan ishlatilgan.")
+    }
+
+    bindVerification(verification, ctx, verifications)
+    // The account that opened the link is authoritative, whatever username was typed on the website
+    verification.telegram = ctx.from.username || verification.telegram || null
+    writeData(VERIFICATION_FILE, verifications)
+
+    continueVerification(ctx, verification)
+  } catch (err) {
+    console.error("Error delivering verification by token:", err)
+    ctx.reply("Xatolik yuz berdi. Iltimos, keyinroq qayta urinib ko'ring.")
+  }
+}
+
+/**
+ * Remember which Telegram account received the code; registration links to it
+ * Earlier pending verifications of the same Telegram account are expired, so a restarted
+ * registration (e.g. with a corrected phone number) is the only one the account can confirm.
+ * @param {Object} verification - Verification being bound
+ * @param {Object} ctx - Telegram context
+ * @param {Array} verifications - Every stored verification; changed in place
+ */
+function bindVerification(verification, ctx, verifications) {
+  verifications.forEach((v) => {
+    if (v !== verification && v.telegramUserId === ctx.from.id && v.status === "pending") {
+      v.status = "expired"
+    }
+  })
+
+  verification.chatId = ctx.chat.id
+  verification.telegramUserId = ctx.from.id
+  verification.boundAt = verification.boundAt || new Date().toISOString()
+}
+
+/**
+ * Next step of a bound verification: ask for the contact until the phone is confirmed, then send the code
+ */
+function continueVerification(ctx, verification) {
+  if (verification.phoneVerified) {
+    return sendVerificationCode(ctx, verification)
+  }
+
+  ctx.reply(
+    "Telefon raqamingizni tasdiqlash uchun quyidagi tugma orqali kontaktingizni ulashing. Raqam saytda kiritilgan raqam bilan bir xil bo'lishi kerak.",
+    Markup.keyboard([Markup.button.contactRequest("📱 Telefon raqamni ulashish")])
+      .oneTime()
+      .resize(),
+  )
+}
+
+/**
+ * Compare a shared contact with the phone of the verification bound to this Telegram account
+ * @param {Object} ctx - Telegram context
+ * @param {Object} contact - Telegram contact ({ phone_number, user_id })
+ */
+function confirmContact(ctx, contact) {
+  // Only the sender's own contact proves they own the number
+  if (contact.user_id !== ctx.from.id) {
+    return ctx.reply("Iltimos, boshqa odamning emas, o'zingizning kontaktingizni ulashing.")
+  }
+
+  // The most recently bound registration of this account
+  const verifications = readData(VERIFICATION_FILE)
+  const verification = verifications
+    .filter((v) => v.telegramUserId === ctx.from.id && v.status === "pending" && new Date(v.expiresAt) > new Date())
+    .sort((a, b) => new Date(b.boundAt || 0) - new Date(a.boundAt || 0))[0]
+
+  if (!verification) {
+    return ctx.reply("Sizning uchun faol ro'yxatdan o'tish jarayoni topilmadi.", Markup.removeKeyboard())
+  }
+
+  // Telegram sends international numbers, sometimes without the leading "+"
+  const shared = normalizePhone(contact.phone_number.startsWith("+") ? contact.phone_number : `+${contact.phone_number}`)
+
+  if (!shared || shared !== normalizePhone(verification.phone)) {
+    return ctx.reply(
+      "Ulashilgan raqam saytda kiritilgan raqamga mos kelmadi. Saytda to'g'ri raqam bilan ro'yxatdan o'tishni qaytadan boshlang.",
+      Markup.removeKeyboard(),
+    )
+  }
+
+  verification.phoneVerified = true
+  verification.phoneVerifiedAt = new Date().toISOString()
+  writeData(VERIFICATION_FILE, verifications)
+
+  sendVerificationCode(ctx, verification)
+}
+
+/**
+ * Send a verification code to the current chat and log it
+ */
+function sendVerificationCode(ctx, verification) {
+  ctx.reply(
+    `Sizning tasdiqlash kodingiz: ${verification.code}\n\nBu kodni test platformasida ro'yxatdan o'tish jarayonida kiriting.`,
+    Markup.removeKeyboard(),
+  )
+
+  logNotification(verification.userId, verification.telegram, verification.code, ctx.chat.id)
+  console.log(`Verification code for ${verification.userId} sent to Telegram user ${ctx.from.id}`)
+}
+
+/**
+ * Fallback for users who message the bot without the deep link:
+ * find a pending verification by the Telegram username typed on the website
  * @param {Object} ctx - Telegram context
  * @param {string} username - Telegram username
  */
@@ -276,20 +979,19 @@ function checkPendingVerification(ctx, username) {
     const verifications = readData(VERIFICATION_FILE)
     const pendingVerification = verifications.find(
       (v) =>
-        (v.telegram.toLowerCase() === username.toLowerCase() ||
-          v.telegram.toLowerCase() === "@" + username.toLowerCase()) &&
+        v.telegram &&
+        v.telegram.toLowerCase().replace(/^@/, "") === username.toLowerCase() &&
+        // Verifications bound through a deep link only go to that Telegram account
+        (!v.telegramUserId || v.telegramUserId === ctx.from.id) &&
         v.status === "pending" &&
         new Date(v.expiresAt) > new Date(),
     )
 
     if (pendingVerification) {
-      ctx.reply(
-        `Sizning tasdiqlash kodingiz: ${pendingVerification.code}\n\nBu kodni test platformasida ro'yxatdan o'tish jarayonida kiriting.`,
-      )
+      bindVerification(pendingVerification, ctx, verifications)
+      writeData(VERIFICATION_FILE, verifications)
 
-      // Log the notification
-      logNotification(pendingVerification.userId, username, pendingVerification.code, ctx.chat.id)
-      console.log(`Verification code ${pendingVerification.code} sent to ${username} via Telegram`)
+      continueVerification(ctx, pendingVerification)
     } else {
       ctx.reply(
         "Sizning uchun faol tasdiqlash kodi topilmadi. Iltimos, avval web saytdan ro'yxatdan o'tishni boshlang.",
@@ -301,7 +1003,7 @@ function checkPendingVerification(ctx, username) {
 }
 
 /**
- * Log a notification in the notifications.json file
+ * Log a notification that was delivered directly in the chat
  */
 function logNotification(userId, telegram, code, chatId) {
   try {
@@ -310,10 +1012,14 @@ function logNotification(userId, telegram, code, chatId) {
       id: uuidv4(),
       userId,
       telegram,
-      message: `Verification code sent: ${code}`,
       chatId,
-      createdAt: new Date().toISOString(),
+      category: "verification",
+      message: `Verification code sent: ${code}`,
+      // Replied directly in the chat, so it never goes through the outbox
+      status: "sent",
       sent: true,
+      attempts: 1,
+      createdAt: new Date().toISOString(),
       sentAt: new Date().toISOString(),
     })
     writeData(NOTIFICATIONS_FILE, notifications)
@@ -322,46 +1028,6 @@ function logNotification(userId, telegram, code, chatId) {
   }
 }
 
-/**
- * Send pending notifications
- * @param {Telegraf} bot - The Telegram bot instance
- */
-function sendPendingNotifications(bot) {
-  try {
-    const notifications = readData(NOTIFICATIONS_FILE)
-
-    if (notifications.length === 0) {
-      return
-    }
-
-    const pendingNotifications = notifications.filter((n) => !n.sent)
-
-    for (const notification of pendingNotifications) {
-      try {
-        const username = notification.telegram.startsWith("@")
-          ? notification.telegram.substring(1)
-          : notification.telegram
-
-        if (notification.chatId) {
-          bot.telegram.sendMessage(notification.chatId, notification.message)
-        } else {
-          bot.telegram.sendMessage(username, notification.message)
-        }
-
-        // Mark as sent
-        notification.sent = true
-        notification.sentAt = new Date().toISOString()
-      } catch (err) {
-        console.error(`Error sending notification to ${notification.telegram}:`, err)
-      }
-    }
-
-    writeData(NOTIFICATIONS_FILE, notifications)
-  } catch (err) {
-    console.error("Error sending pending notifications:", err)
-  }
-}
-
 // Helper function to format time in MM:SS
 function formatTime(seconds) {
   const minutes = Math.floor(seconds / 60)
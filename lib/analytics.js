@@ -0,0 +1,239 @@
+const { isAnswered } = require("./grader")
+const { resultPaper } = require("./regrade")
+
+// Test statistics and item analysis, computed from the graded answers stored on results
+
+// Share of students in the upper and lower groups for the discrimination index
+const GROUP_SHARE = 0.27
+// Thresholds for flagging questions worth reviewing
+const EASY_DIFFICULTY = 0.9
+const HARD_DIFFICULTY = 0.2
+const LOW_DISCRIMINATION = 0.2
+
+const round = (value, digits = 4) => (value === null ? null : Number(value.toFixed(digits)))
+const mean = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null)
+
+/**
+ * Population variance
+ */
+function variance(values) {
+  const m = mean(values)
+  return m === null ? null : mean(values.map((v) => (v - m) ** 2))
+}
+
+function median(values) {
+  if (values.length === 0) return null
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle]
+}
+
+/**
+ * Count scores (0..100) in equal-width bins
+ * @returns {Array} [{ from, to, count }]
+ */
+function scoreDistribution(scores, bins = 10) {
+  const width = 100 / bins
+  return Array.from({ length: bins }, (_, i) => ({
+    from: round(i * width, 2),
+    to: round((i + 1) * width, 2),
+    // The last bin includes 100
+    count: scores.filter((s) => s >= i * width && (i === bins - 1 ? s <= 100 : s < (i + 1) * width)).length,
+  }))
+}
+
+/**
+ * Credit (0..1) a graded answer earned; null for dropped questions
+ */
+function answerCredit(answer) {
+  if (!answer || !(answer.maxPoints > 0)) return answer ? null : 0
+  return Math.min(1, Math.max(0, answer.points / answer.maxPoints))
+}
+
+/**
+ * Per result: the questions on its paper and the credit earned on each
+ * @returns {Array} [{ result, items: Map<questionId, { question, answer, credit }> }]
+ */
+function itemMatrix(test, results) {
+  return results.map((result) => {
+    const paper = resultPaper(result, test)
+    const items = new Map()
+
+    paper.forEach((question) => {
+      const answer = (result.answers || []).find((a) => a.questionId === question.id && !a.autoCredited)
+      const graded = (result.answers || []).find((a) => a.questionId === question.id)
+      items.set(question.id, {
+        question,
+        answer,
+        credit: question.scoring === "dropped" ? null : answerCredit(graded),
+      })
+    })
+
+    return { result, items }
+  })
+}
+
+/**
+ * KR-20 / Cronbach's alpha over the questions every result contains
+ * KR-20 is reported only when every item is scored right or wrong; alpha also covers partial credit.
+ * Tests that draw a different set of questions per attempt share few items, which lowers the estimate.
+ * @returns {Object} { kr20, alpha, items, students }
+ */
+function reliability(matrix) {
+  if (matrix.length < 2) return { kr20: null, alpha: null, items: 0, students: matrix.length }
+
+  const itemIds = [...matrix[0].items.keys()].filter((id) =>
+    matrix.every(({ items }) => items.has(id) && items.get(id).credit !== null),
+  )
+  const k = itemIds.length
+
+  if (k < 2) return { kr20: null, alpha: null, items: k, students: matrix.length }
+
+  const itemVariances = itemIds.map((id) => variance(matrix.map(({ items }) => items.get(id).credit)))
+  const totalVariance = variance(matrix.map(({ items }) => itemIds.reduce((sum, id) => sum + items.get(id).credit, 0)))
+  const itemVarianceSum = itemVariances.reduce((sum, v) => sum + v, 0)
+
+  const alpha = totalVariance > 0 ? (k / (k - 1)) * (1 - itemVarianceSum / totalVariance) : null
+  const dichotomous = matrix.every(({ items }) => itemIds.every((id) => [0, 1].includes(items.get(id).credit)))
+
+  return { kr20: dichotomous ? round(alpha) : null, alpha: round(alpha), items: k, students: matrix.length }
+}
+
+/**
+ * How often each option was picked, overall and in the upper and lower groups
+ */
+function optionCounts(question, entries, upper, lower) {
+  const picked = (entry, optionId) => {
+    const answer = entry.answer
+    if (!answer) return false
+    return (
+      answer.optionId === optionId || (Array.isArray(answer.selectedOptions) && answer.selectedOptions.includes(optionId))
+    )
+  }
+
+  return question.options.map((option) => {
+    const count = entries.filter((e) => picked(e, option.id)).length
+    return {
+      optionId: option.id,
+      text: option.text,
+      correct: Boolean(option.correct),
+      count,
+      share: entries.length > 0 ? round(count / entries.length) : null,
+      upperCount: upper.filter((e) => picked(e, option.id)).length,
+      lowerCount: lower.filter((e) => picked(e, option.id)).length,
+    }
+  })
+}
+
+/**
+ * Most frequent answers to a text or numeric question
+ */
+function topAnswers(entries, limit = 10) {
+  const counts = new Map()
+  entries.forEach(({ answer }) => {
+    const text = answer && answer.text !== undefined && answer.text !== null ? answer.text.toString().trim() : ""
+    if (!text) return
+    const key = text.toLowerCase()
+    const current = counts.get(key) || { text, count: 0, correct: Boolean(answer.correct) }
+    counts.set(key, { ...current, count: current.count + 1 })
+  })
+  return [...counts.values()].sort((a, b) => b.count - a.count).slice(0, limit)
+}
+
+/**
+ * Questions worth reviewing: nearly everyone or nearly no one gets them right,
+ * they do not separate strong from weak students, or a wrong option is never picked
+ */
+function questionFlags(difficulty, discrimination, options) {
+  const flags = []
+  if (difficulty !== null && difficulty >= EASY_DIFFICULTY) flags.push("too-easy")
+  if (difficulty !== null && difficulty <= HARD_DIFFICULTY) flags.push("too-hard")
+  if (discrimination !== null && discrimination < 0) flags.push("negative-discrimination")
+  else if (discrimination !== null && discrimination < LOW_DISCRIMINATION) flags.push("low-discrimination")
+  if (options && options.some((o) => !o.correct && o.count === 0)) flags.push("unused-distractor")
+  return flags
+}
+
+/**
+ * Statistics of a test and analysis of each question
+ * Every stored result counts, including retakes and anonymized results. Questions are analysed
+ * among the students whose paper contained them. The upper and lower groups are the top and
+ * bottom 27% of results by score; the discrimination index is the difference in difficulty
+ * (share of credit earned) between them.
+ * @param {Object} test - Stored test
+ * @param {Array} results - Results to analyse
+ * @param {Object} options - { bins: number of score distribution bins }
+ */
+function testAnalytics(test, results, { bins = 10 } = {}) {
+  const scores = results.map((r) => r.score)
+  const matrix = itemMatrix(test, results)
+
+  const ranked = [...matrix].sort((a, b) => b.result.score - a.result.score)
+  const groupSize = Math.max(1, Math.round(ranked.length * GROUP_SHARE))
+  const upperGroup = ranked.length >= 2 ? ranked.slice(0, groupSize) : []
+  const lowerGroup = ranked.length >= 2 ? ranked.slice(-groupSize) : []
+
+  // Every question that appeared on a paper, in the test's current order where possible
+  const questions = new Map()
+  test.questions.forEach((q) => questions.set(q.id, q))
+  matrix.forEach(({ items }) =>
+    items.forEach(({ question }) => {
+      if (!questions.has(question.id)) questions.set(question.id, question)
+    }),
+  )
+
+  const questionStats = [...questions.values()]
+    .map((question) => {
+      const entries = matrix.filter(({ items }) => items.has(question.id)).map(({ items }) => items.get(question.id))
+      const groupEntries = (group) =>
+        group.filter(({ items }) => items.has(question.id)).map(({ items }) => items.get(question.id))
+      const upper = groupEntries(upperGroup)
+      const lower = groupEntries(lowerGroup)
+      const credits = (list) => list.map((e) => e.credit).filter((c) => c !== null)
+
+      const difficulty = mean(credits(entries))
+      const upperDifficulty = mean(credits(upper))
+      const lowerDifficulty = mean(credits(lower))
+      const discrimination =
+        upperDifficulty !== null && lowerDifficulty !== null ? upperDifficulty - lowerDifficulty : null
+      const options = Array.isArray(question.options) ? optionCounts(question, entries, upper, lower) : null
+
+      return {
+        questionId: question.id,
+        text: question.text,
+        type: question.type,
+        scoring: question.scoring || null,
+        appearances: entries.length,
+        omitted: entries.filter((e) => !e.answer || !isAnswered(e.answer)).length,
+        difficulty: round(difficulty),
+        discrimination: round(discrimination),
+        options,
+        topAnswers: options ? undefined : topAnswers(entries),
+        flags: entries.length > 0 ? questionFlags(difficulty, discrimination, options) : [],
+      }
+    })
+    .filter((item) => item.appearances > 0)
+
+  const sd = variance(scores)
+
+  return {
+    testId: test.id,
+    title: test.title,
+    results: results.length,
+    students: new Set(results.map((r) => r.userId).filter(Boolean)).size,
+    scores: {
+      mean: round(mean(scores)),
+      median: round(median(scores)),
+      standardDeviation: sd === null ? null : round(Math.sqrt(sd)),
+      min: scores.length > 0 ? Math.min(...scores) : null,
+      max: scores.length > 0 ? Math.max(...scores) : null,
+      distribution: scoreDistribution(scores, bins),
+    },
+    reliability: reliability(matrix),
+    questions: questionStats,
+  }
+}
+
+module.exports = {
+  testAnalytics,
+}
@@ -0,0 +1,228 @@
+const { v4: uuidv4 } = require("uuid")
+const { getStore } = require("./storage")
+const { gradeAnswers } = require("./grader")
+const { buildPaper } = require("./paper")
+const { generateSeed } = require("./random")
+const { notifyUser } = require("./notifications")
+const { ensureVersion, testAtVersion } = require("./testVersions")
+
+// Timed attempts shared by the web API and the Telegram bot, so both record identical results
+
+// Submissions are accepted this long after an attempt's deadline (network lag, slow clients)
+const ATTEMPT_GRACE_MS = (Number.parseInt(process.env.ATTEMPT_GRACE_SECONDS, 10) || 30) * 1000
+
+// Question shape shown to students (no correct answers)
+const toStudentQuestion = (q) => ({
+  id: q.id,
+  text: q.text,
+  type: q.type,
+  image: q.image,
+  options: q.options ? q.options.map((o) => ({ id: o.id, text: o.text })) : undefined,
+})
+
+/**
+ * Grade an attempt and build the result record for it
+ * @param {Object} attempt - The attempt being finished
+ * @param {Object} test - The test the attempt belongs to
+ * @param {Array} answers - Answers to grade
+ * @param {string} finishedAt - ISO time the attempt counts as finished
+ * @param {Object} extra - Additional fields stored on the result
+ */
+const buildAttemptResult = (attempt, test, answers, finishedAt, extra = {}) => {
+  // Grade against the attempt's own paper, from the version it was started on, so only the
+  // drawn questions count and later edits to the test do not change the grading
+  const pinned = testAtVersion(test, attempt.versionId)
+  const graded = gradeAnswers({ ...pinned, questions: buildPaper(pinned, attempt.seed) }, answers)
+
+  return {
+    id: uuidv4(),
+    testId: test.id,
+    versionId: attempt.versionId || null,
+    version: attempt.version || null,
+    userId: attempt.userId,
+    attemptId: attempt.id,
+    seed: attempt.seed,
+    answers: graded.answers,
+    score: graded.score,
+    correctCount: graded.correctCount,
+    totalQuestions: graded.totalQuestions,
+    earnedPoints: graded.earnedPoints,
+    maxPoints: graded.maxPoints,
+    startedAt: attempt.startedAt,
+    finishedAt,
+    timeSpent: Math.max(0, Math.round((new Date(finishedAt) - new Date(attempt.startedAt)) / 1000)), // seconds
+    submittedAt: new Date().toISOString(),
+    ...extra,
+  }
+}
+
+// Link to the result review page, included in Telegram messages
+const resultReviewUrl = (resultId) =>
+  `${process.env.APP_BASE_URL || process.env.API_BASE_URL || ""}/results/${resultId}`
+
+/**
+ * Queue a Telegram message telling the student their result was recorded
+ */
+const notifyResult = (result, test) => {
+  const user = getStore().find("users", { id: result.userId })[0]
+  const message = [
+    `"${test.title}" testi natijasi:`,
+    `Ball: ${result.earnedPoints}/${result.maxPoints} (${result.score.toFixed(2)}%)`,
+    `To'g'ri javoblar: ${result.correctCount}/${result.totalQuestions}`,
+    result.autoSubmitted || result.late ? "Vaqt tugagani sababli saqlangan javoblar hisoblandi." : null,
+    "",
+    `Natijani ko'rish: ${resultReviewUrl(result.id)}`,
+  ]
+    .filter((line) => line !== null)
+    .join("\n")
+
+  notifyUser(user, "result", message)
+}
+
+/**
+ * Apply changes to one stored attempt
+ * @returns {Object|null} The updated attempt
+ */
+const updateAttempt = (id, changes) => {
+  let updated = null
+  getStore().update("attempts", (attempts) =>
+    attempts.map((a) => {
+      if (a.id !== id) return a
+      updated = { ...a, ...changes }
+      return updated
+    }),
+  )
+  return updated
+}
+
+/**
+ * Auto-submit attempts whose deadline and grace period have passed,
+ * grading whatever answers were saved before the time ran out
+ */
+const finalizeExpiredAttempts = () => {
+  const store = getStore()
+  const now = Date.now()
+  const expired = store
+    .read("attempts")
+    .filter((a) => a.status === "in-progress" && new Date(a.deadline).getTime() + ATTEMPT_GRACE_MS < now)
+
+  if (expired.length === 0) return
+
+  const tests = store.read("tests")
+
+  expired.forEach((attempt) => {
+    const test = tests.find((t) => t.id === attempt.testId)
+    const changes = { status: "expired", finishedAt: attempt.deadline }
+
+    if (test) {
+      const result = buildAttemptResult(attempt, test, attempt.savedAnswers || [], attempt.deadline, {
+        autoSubmitted: true,
+      })
+      store.insert("results", result)
+      changes.resultId = result.id
+      notifyResult(result, test)
+    }
+
+    updateAttempt(attempt.id, changes)
+  })
+
+  console.log(`Auto-submitted ${expired.length} expired attempt(s)`)
+}
+
+/**
+ * Resume the user's running attempt on a test or start a new one
+ * Callers check the test's availability and attempt limit first (see testAvailability in lib/tests).
+ * @returns {Object} { attempt, created }
+ */
+const startAttempt = (test, userId) => {
+  finalizeExpiredAttempts()
+
+  // Resume an attempt that is still running instead of restarting the timer
+  const running = getStore()
+    .find("attempts", { testId: test.id, userId })
+    .find((a) => a.status === "in-progress")
+  if (running) {
+    return { attempt: running, created: false }
+  }
+
+  // The attempt is pinned to the test's current content
+  const version = ensureVersion(test)
+
+  const startedAt = new Date()
+  // An attempt never runs past the time the test closes
+  const fullDeadline = startedAt.getTime() + Number(test.duration) * 60 * 1000
+  const deadline = test.closesAt ? Math.min(fullDeadline, new Date(test.closesAt).getTime()) : fullDeadline
+
+  const attempt = {
+    id: uuidv4(),
+    testId: test.id,
+    versionId: version.id,
+    version: version.version,
+    userId,
+    status: "in-progress",
+    startedAt: startedAt.toISOString(),
+    deadline: new Date(deadline).toISOString(),
+    seed: generateSeed(), // rebuilds this attempt's question draw and order
+    savedAnswers: [],
+    savedAt: null,
+  }
+
+  getStore().insert("attempts", attempt)
+  return { attempt, created: true }
+}
+
+/**
+ * Save answers while the attempt is running so they survive an abandoned session
+ * @returns {Object} The updated attempt
+ */
+const saveAttemptAnswers = (attempt, answers) =>
+  updateAttempt(attempt.id, { savedAnswers: answers, savedAt: new Date().toISOString() })
+
+/**
+ * Finish a running attempt and record its result
+ * Answers sent after the deadline plus grace period are discarded and the attempt is graded
+ * with the answers saved before time ran out.
+ * @param {Object} attempt - Running attempt
+ * @param {Object} test - The attempt's test
+ * @param {Array} answers - Submitted answers
+ * @param {Object} options - { notify: queue the result notification (default true) }
+ * @returns {Object} { result, late }
+ */
+const submitAttempt = (attempt, test, answers, { notify = true } = {}) => {
+  const now = new Date()
+  const deadline = new Date(attempt.deadline)
+  const late = now.getTime() > deadline.getTime() + ATTEMPT_GRACE_MS
+
+  const result = late
+    ? buildAttemptResult(attempt, test, attempt.savedAnswers || [], attempt.deadline, { late: true })
+    : buildAttemptResult(attempt, test, answers, (now < deadline ? now : deadline).toISOString())
+
+  getStore().insert("results", result)
+  updateAttempt(attempt.id, {
+    status: late ? "expired" : "submitted",
+    finishedAt: result.finishedAt,
+    resultId: result.id,
+  })
+
+  if (notify) notifyResult(result, test)
+
+  return { result, late }
+}
+
+/**
+ * Seconds left before the attempt's deadline
+ */
+const remainingSeconds = (attempt) =>
+  attempt.status === "in-progress" ? Math.max(0, Math.round((new Date(attempt.deadline) - Date.now()) / 1000)) : 0
+
+module.exports = {
+  ATTEMPT_GRACE_MS,
+  toStudentQuestion,
+  resultReviewUrl,
+  buildAttemptResult,
+  finalizeExpiredAttempts,
+  startAttempt,
+  saveAttemptAnswers,
+  submitAttempt,
+  remainingSeconds,
+}
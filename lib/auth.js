@@ -0,0 +1,250 @@
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+const { v4: uuidv4 } = require("uuid")
+const { getStore } = require("./storage")
+
+// Short-lived JWT access tokens plus opaque, rotating refresh tokens kept server-side
+const REFRESH_TOKENS = "refreshTokens"
+const PASSWORD_RESETS = "passwordResets"
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m"
+const REFRESH_TOKEN_TTL_MS = (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000
+const RESET_CODE_TTL_MS = 15 * 60 * 1000 // 15 minutes
+const RESET_CODE_MAX_GUESSES = 5
+
+let devSecret = null
+
+/**
+ * Secret used to sign access tokens
+ * Production refuses to run without JWT_SECRET; elsewhere a random per-process secret is used,
+ * which only logs users out of their access tokens on restart (refresh tokens keep working).
+ */
+function jwtSecret() {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET
+
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("JWT_SECRET must be set in production")
+  }
+
+  if (!devSecret) {
+    console.warn("JWT_SECRET not set. Using a random secret for this process.")
+    devSecret = crypto.randomBytes(32).toString("hex")
+  }
+  return devSecret
+}
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex")
+
+/**
+ * Sign an access token; `tv` is the user's token version, bumped to revoke every token at once
+ */
+function signAccessToken(user) {
+  return jwt.sign(
+    { id: user.id, username: user.username, role: user.role, tv: user.tokenVersion || 0 },
+    jwtSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL },
+  )
+}
+
+/**
+ * @returns {Object|null} Token payload, or null when the token is invalid or expired
+ */
+function verifyAccessToken(token) {
+  try {
+    return jwt.verify(token, jwtSecret())
+  } catch (err) {
+    return null
+  }
+}
+
+/**
+ * Whether an access token was issued before the user's sessions were revoked
+ */
+function isTokenRevoked(payload, user) {
+  return (payload.tv || 0) !== (user.tokenVersion || 0)
+}
+
+/**
+ * Whether a stored refresh token can be forgotten
+ * Expired tokens go once they are refused anyway; revoked ones are kept for a full TTL after
+ * revocation, so presenting a rotated token still revokes its chain.
+ */
+function isPrunable(token, now = Date.now()) {
+  if (token.revokedAt) return new Date(token.revokedAt).getTime() + REFRESH_TOKEN_TTL_MS <= now
+  return new Date(token.expiresAt).getTime() <= now
+}
+
+/**
+ * Store a new refresh token and return its raw value (only the hash is kept)
+ * @param {string} family - Rotation chain the token belongs to; one per login
+ */
+function createRefreshToken(userId, family, { userAgent, ip } = {}) {
+  const token = crypto.randomBytes(48).toString("base64url")
+
+  const record = {
+    id: uuidv4(),
+    userId,
+    family,
+    tokenHash: hashToken(token),
+    userAgent: userAgent || null,
+    ip: ip || null,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS).toISOString(),
+    revokedAt: null,
+    replacedBy: null,
+  }
+
+  getStore().update(REFRESH_TOKENS, (tokens) => [...tokens.filter((t) => !isPrunable(t)), record])
+
+  return token
+}
+
+/**
+ * Issue an access token and a refresh token for a new session
+ * @param {Object} user - Stored user
+ * @param {Object} client - { userAgent, ip } recorded with the session
+ * @returns {Object} { token, refreshToken, expiresIn }
+ */
+function issueTokens(user, client = {}, family = uuidv4()) {
+  return {
+    token: signAccessToken(user),
+    refreshToken: createRefreshToken(user.id, family, client),
+    expiresIn: ACCESS_TOKEN_TTL,
+  }
+}
+
+/**
+ * Revoke refresh tokens matching a condition
+ * @returns {number} Number of tokens revoked
+ */
+function revokeWhere(condition) {
+  let revoked = 0
+  const now = new Date().toISOString()
+
+  getStore().update(REFRESH_TOKENS, (tokens) =>
+    tokens
+      .filter((t) => !isPrunable(t))
+      .map((t) => {
+        if (t.revokedAt || !condition(t)) return t
+        revoked++
+        return { ...t, revokedAt: now }
+      }),
+  )
+
+  return revoked
+}
+
+/**
+ * Exchange a refresh token for a new pair; the old refresh token stops working
+ * Presenting an already rotated token means it was copied, so its whole chain is revoked.
+ * @param {string} refreshToken - Raw refresh token
+ * @param {Function} loadUser - Returns the current user record for an id
+ * @returns {Object|null} { user, tokens }, or null when the token cannot be used
+ */
+function rotateRefreshToken(refreshToken, loadUser, client = {}) {
+  const stored = getStore().find(REFRESH_TOKENS, { tokenHash: hashToken(refreshToken || "") })[0]
+
+  if (!stored) return null
+
+  if (stored.revokedAt) {
+    if (stored.replacedBy) revokeWhere((t) => t.family === stored.family)
+    return null
+  }
+
+  const user = loadUser(stored.userId)
+
+  if (new Date(stored.expiresAt) <= new Date() || !user || user.blocked) {
+    revokeWhere((t) => t.id === stored.id)
+    return null
+  }
+
+  const tokens = issueTokens(user, client, stored.family)
+  const replacement = getStore().find(REFRESH_TOKENS, { tokenHash: hashToken(tokens.refreshToken) })[0]
+
+  getStore().update(REFRESH_TOKENS, (all) =>
+    all.map((t) =>
+      t.id === stored.id ? { ...t, revokedAt: new Date().toISOString(), replacedBy: replacement.id } : t,
+    ),
+  )
+
+  return { user, tokens }
+}
+
+/**
+ * Log out one session
+ * @returns {boolean} Whether the refresh token was active
+ */
+function revokeRefreshToken(refreshToken) {
+  const tokenHash = hashToken(refreshToken || "")
+  return revokeWhere((t) => t.tokenHash === tokenHash) > 0
+}
+
+/**
+ * Log out every session of a user: refresh tokens are revoked and the token version is
+ * bumped, so access tokens issued before now stop working too
+ * @returns {number} Number of refresh tokens revoked
+ */
+function revokeUserSessions(userId) {
+  getStore().update("users", (users) =>
+    users.map((u) => (u.id === userId ? { ...u, tokenVersion: (u.tokenVersion || 0) + 1 } : u)),
+  )
+  return revokeWhere((t) => t.userId === userId)
+}
+
+/**
+ * Create a one-time password reset code for a user, replacing any earlier one
+ * @returns {Object} { code, expiresAt }
+ */
+function createPasswordResetCode(userId) {
+  const code = crypto.randomInt(100000, 1000000).toString()
+  const record = {
+    id: uuidv4(),
+    userId,
+    codeHash: hashToken(code),
+    guesses: 0,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + RESET_CODE_TTL_MS).toISOString(),
+  }
+
+  getStore().update(PASSWORD_RESETS, (resets) => [
+    ...resets.filter((r) => r.userId !== userId && new Date(r.expiresAt) > new Date()),
+    record,
+  ])
+
+  return { code, expiresAt: record.expiresAt }
+}
+
+/**
+ * Check a password reset code; a correct code is used up, and too many wrong guesses discard it
+ * @returns {boolean} Whether the code was valid
+ */
+function consumePasswordResetCode(userId, code) {
+  let valid = false
+
+  getStore().update(PASSWORD_RESETS, (resets) =>
+    resets
+      .map((r) => {
+        if (r.userId !== userId || new Date(r.expiresAt) <= new Date()) return r
+        if (r.codeHash === hashToken((code || "").toString().trim())) {
+          valid = true
+          return null
+        }
+        return { ...r, guesses: r.guesses + 1 }
+      })
+      .filter((r) => r && r.guesses < RESET_CODE_MAX_GUESSES),
+  )
+
+  return valid
+}
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  verifyAccessToken,
+  isTokenRevoked,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserSessions,
+  createPasswordResetCode,
+  consumePasswordResetCode,
+}
@@ -0,0 +1,163 @@
+const { matchTextAnswer, parseNumber, unitAccepted } = require("./textMatching")
+
+const PARTIAL_CREDIT_MODES = ["all-or-nothing", "proportional", "right-minus-wrong"]
+// Set on a question after a faulty key was found (see lib/regrade):
+//  - accept-all: everyone who got the question earns full credit, answered or not
+//  - dropped: the question no longer counts towards the score
+const SCORING_OVERRIDES = ["accept-all", "dropped"]
+
+/**
+ * Share of credit (0..1) earned on a multiple-answer question
+ *  - all-or-nothing: every correct option and no incorrect one must be selected
+ *  - proportional: share of options judged correctly (correct ones selected, incorrect ones left out)
+ *  - right-minus-wrong: share of correct options selected minus share of incorrect options selected
+ * Without at least one correct option selected there is no credit in any mode, so leaving the
+ * question blank or picking only wrong options never pays off.
+ */
+function multipleAnswerCredit(question, selectedOptions, mode) {
+  const correctOptions = question.options.filter((o) => o.correct).map((o) => o.id)
+  const incorrectOptions = question.options.filter((o) => !o.correct).map((o) => o.id)
+
+  const rightSelected = correctOptions.filter((id) => selectedOptions.includes(id)).length
+  const wrongSelected = incorrectOptions.filter((id) => selectedOptions.includes(id)).length
+
+  if (rightSelected === 0) return 0
+
+  if (mode === "proportional") {
+    const judgedCorrectly = rightSelected + (incorrectOptions.length - wrongSelected)
+    return question.options.length > 0 ? judgedCorrectly / question.options.length : 0
+  }
+
+  if (mode === "right-minus-wrong") {
+    const right = correctOptions.length > 0 ? rightSelected / correctOptions.length : 0
+    const wrong = incorrectOptions.length > 0 ? wrongSelected / incorrectOptions.length : 0
+    return Math.max(0, right - wrong)
+  }
+
+  // Check if all correct options are selected and no incorrect options are selected
+  return rightSelected === correctOptions.length && wrongSelected === 0 ? 1 : 0
+}
+
+// Whether the student gave any answer at all; blank answers are never penalized
+function isAnswered(answer) {
+  if (answer.optionId) return true
+  if (Array.isArray(answer.selectedOptions) && answer.selectedOptions.length > 0) return true
+  return answer.text !== undefined && answer.text !== null && answer.text.toString().trim() !== ""
+}
+
+/**
+ * Points a question is worth; defaults to one point
+ */
+function questionPoints(question) {
+  const points = Number(question.points)
+  return Number.isFinite(points) && points > 0 ? points : 1
+}
+
+/**
+ * Grade a list of submitted answers against a test
+ * Supported question types: multiple-choice, multiple-answer, text, numeric
+ *
+ * Each question is worth `question.points` (default 1). A wrong answer loses `question.penalty`
+ * points (falling back to `test.penalty`, default 0). Multiple-answer questions earn partial credit
+ * according to `question.partialCredit` or `test.partialCredit` (see PARTIAL_CREDIT_MODES).
+ * Text and numeric answers record the rule that accepted them in `matchedBy`.
+ * `question.scoring` overrides the key for the whole question (see SCORING_OVERRIDES).
+ *
+ * @param {Object} test - Test with its questions
+ * @param {Array} answers - Submitted answers ({ questionId, optionId | selectedOptions | text })
+ * @returns {Object} { answers, correctCount, totalQuestions, earnedPoints, maxPoints, score }
+ */
+function gradeAnswers(test, answers) {
+  let correctCount = 0
+  let earnedPoints = 0
+  const gradedQuestionIds = new Set()
+  const scoredQuestions = test.questions.filter((q) => q.scoring !== "dropped")
+
+  const gradedAnswers = answers.map((answer) => {
+    const question = test.questions.find((q) => q.id === answer.questionId)
+    let credit = 0
+    let matchedBy = null
+
+    // Only the first answer to a question counts
+    if (!question || gradedQuestionIds.has(question.id)) {
+      return { ...answer, correct: false, points: 0, maxPoints: 0, matchedBy: null }
+    }
+    gradedQuestionIds.add(question.id)
+
+    if (question.scoring === "dropped") {
+      return { ...answer, correct: false, points: 0, maxPoints: 0, matchedBy: null, dropped: true }
+    }
+
+    if (question.scoring === "accept-all") {
+      credit = 1
+      matchedBy = { rule: "accept-all" }
+    } else if (question.type === "multiple-choice") {
+      const correctOption = (question.options || []).find((o) => o.correct)
+      credit = Boolean(correctOption) && answer.optionId === correctOption.id ? 1 : 0
+    } else if (question.type === "multiple-answer") {
+      if (answer.selectedOptions && Array.isArray(answer.selectedOptions)) {
+        const mode = question.partialCredit || test.partialCredit || "all-or-nothing"
+        credit = multipleAnswerCredit(question, answer.selectedOptions, mode)
+      }
+    } else if (question.type === "text") {
+      // Accepted spellings, normalization, numbers, patterns and typos (see matchTextAnswer)
+      matchedBy = matchTextAnswer(question, answer.text)
+      credit = matchedBy ? 1 : 0
+    } else if (question.type === "numeric") {
+      // The key is a plain number, so a unit is only accepted when it is one of question.units
+      const given = parseNumber(answer.text, question.units)
+      if (given && unitAccepted(given.unit, null, question.units) && Math.abs(given.value - Number(question.correctAnswer)) <= (Number(question.tolerance) || 0)) {
+        matchedBy = { rule: "numeric", value: question.correctAnswer }
+        credit = 1
+      }
+    }
+
+    const maxPoints = questionPoints(question)
+    const penalty = Math.abs(Number(question.penalty ?? test.penalty) || 0)
+    const points = credit > 0 ? credit * maxPoints : isAnswered(answer) ? -penalty : 0
+    const correct = credit === 1
+
+    if (correct) correctCount++
+    earnedPoints += points
+
+    return { ...answer, correct, points, maxPoints, matchedBy }
+  })
+
+  // Accepted questions also earn credit when they were left unanswered
+  test.questions
+    .filter((q) => q.scoring === "accept-all" && !gradedQuestionIds.has(q.id))
+    .forEach((question) => {
+      const points = questionPoints(question)
+      correctCount++
+      earnedPoints += points
+      gradedAnswers.push({
+        questionId: question.id,
+        correct: true,
+        points,
+        maxPoints: points,
+        matchedBy: { rule: "accept-all" },
+        autoCredited: true, // not a submitted answer
+      })
+    })
+
+  const totalQuestions = scoredQuestions.length
+  const maxPoints = scoredQuestions.reduce((sum, q) => sum + questionPoints(q), 0)
+  // Negative marking can push the total below zero; the percentage never goes below 0
+  const score = maxPoints > 0 ? (Math.max(0, earnedPoints) / maxPoints) * 100 : 0
+
+  return {
+    answers: gradedAnswers,
+    correctCount,
+    totalQuestions,
+    earnedPoints,
+    maxPoints,
+    score,
+  }
+}
+
+module.exports = {
+  PARTIAL_CREDIT_MODES,
+  SCORING_OVERRIDES,
+  isAnswered,
+  gradeAnswers,
+}
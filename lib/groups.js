@@ -0,0 +1,84 @@
+const { getStore } = require("./storage")
+
+// Student groups (classes); tests assigned to groups are only open to their members
+const GROUPS = "groups"
+
+/**
+ * Group shape returned by the API
+ * @param {Object} group - Stored group
+ * @param {Array} users - When given, members are listed with their names
+ */
+function toPublicGroup(group, users) {
+  const summary = {
+    id: group.id,
+    name: group.name,
+    description: group.description || "",
+    memberCount: group.memberIds.length,
+    createdAt: group.createdAt,
+    updatedAt: group.updatedAt || null,
+  }
+
+  if (!users) return summary
+
+  return {
+    ...summary,
+    members: group.memberIds
+      .map((id) => users.find((u) => u.id === id))
+      .filter(Boolean)
+      .map((u) => ({ id: u.id, username: u.username, name: u.name })),
+  }
+}
+
+/**
+ * Groups a user belongs to
+ */
+function groupsOfUser(userId) {
+  return getStore()
+    .read(GROUPS)
+    .filter((g) => g.memberIds.includes(userId))
+}
+
+/**
+ * Ids of every member of the given groups, without duplicates
+ */
+function membersOfGroups(groupIds) {
+  const members = new Set()
+  getStore()
+    .read(GROUPS)
+    .filter((g) => groupIds.includes(g.id))
+    .forEach((g) => g.memberIds.forEach((id) => members.add(id)))
+  return [...members]
+}
+
+/**
+ * Check that every id belongs to a student
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateMemberIds(memberIds) {
+  if (!Array.isArray(memberIds)) return "memberIds massiv bo'lishi kerak"
+
+  const users = getStore().read("users")
+  const invalid = memberIds.find((id) => {
+    const user = users.find((u) => u.id === id)
+    return !user || user.role !== "student"
+  })
+
+  return invalid ? `Guruhga faqat talabalar qo'shiladi: ${invalid}` : null
+}
+
+/**
+ * Remove a user from every group (used when the user is deleted)
+ */
+function removeFromGroups(userId) {
+  getStore().update(GROUPS, (groups) =>
+    groups.map((g) => (g.memberIds.includes(userId) ? { ...g, memberIds: g.memberIds.filter((id) => id !== userId) } : g)),
+  )
+}
+
+module.exports = {
+  toPublicGroup,
+  groupsOfUser,
+  membersOfGroups,
+  validateMemberIds,
+  removeFromGroups,
+}
@@ -0,0 +1,115 @@
+const { createOption, createDiagnostics } = require("../testParser")
+
+const OPTION_PATTERN = /^([A-Z])[.)]\s*(.*)$/
+const ANSWER_PATTERN = /^ANSWER:\s*(.*)$/i
+
+/**
+ * Parse questions in the Moodle Aiken format
+ * Format:
+ * Question text
+ * A. First option
+ * B) Second option
+ * ANSWER: B
+ *
+ * Questions are separated by blank lines; Aiken only describes single-answer questions.
+ * @param {string} content - Raw file content
+ * @returns {Object} { questions, errors, warnings }
+ */
+function parseAiken(content) {
+  const lines = content.split(/\r?\n/).map((line) => line.trim())
+  const diagnostics = createDiagnostics()
+  const questions = []
+
+  let current = null
+
+  const finish = () => {
+    if (!current) return
+    const { question, line, answer, letters: optionLetters } = current
+    current = null
+
+    if (question.options.length < 2) {
+      return diagnostics.error(line, "Question needs at least two options (A., B., ...)")
+    }
+    if (!answer) {
+      return diagnostics.error(line, "Question has no ANSWER: line")
+    }
+
+    const letters = answer.split(/[\s,;]+/).filter(Boolean)
+    if (letters.length > 1) {
+      return diagnostics.error(line, "Aiken questions can only have one correct answer")
+    }
+
+    const correctIndex = optionLetters.indexOf(letters[0].toUpperCase())
+    if (correctIndex === -1) {
+      return diagnostics.error(line, `ANSWER "${answer}" does not match any option`)
+    }
+
+    question.options[correctIndex].correct = true
+    questions.push(question)
+  }
+
+  lines.forEach((line, i) => {
+    const lineNumber = i + 1
+
+    if (!line) {
+      finish()
+      return
+    }
+
+    const answerMatch = line.match(ANSWER_PATTERN)
+    const optionMatch = line.match(OPTION_PATTERN)
+
+    if (!current) {
+      if (answerMatch || optionMatch) {
+        diagnostics.error(lineNumber, "Option or ANSWER line found before the question text")
+        return
+      }
+      current = {
+        line: lineNumber,
+        answer: null,
+        letters: [],
+        question: { text: line, type: "multiple-choice", options: [], image: null },
+      }
+      return
+    }
+
+    if (answerMatch) {
+      current.answer = answerMatch[1].trim()
+      finish()
+    } else if (optionMatch) {
+      const expected = String.fromCharCode(65 + current.question.options.length)
+      if (optionMatch[1] !== expected) {
+        diagnostics.warning(lineNumber, `Option ${optionMatch[1]} found where ${expected} was expected`)
+      }
+      current.letters.push(optionMatch[1])
+      current.question.options.push(createOption(optionMatch[2].trim(), false, current.question.options.length))
+    } else if (current.question.options.length === 0) {
+      // Question text continues over several lines
+      current.question.text += `\n${line}`
+    } else {
+      diagnostics.warning(lineNumber, "Line ignored: expected an option (A.) or ANSWER: line")
+    }
+  })
+
+  finish()
+
+  const byLine = (a, b) => a.line - b.line
+
+  return {
+    questions,
+    errors: diagnostics.errors.sort(byLine),
+    warnings: diagnostics.warnings.sort(byLine),
+  }
+}
+
+/**
+ * Recognize Aiken content by its ANSWER: lines
+ */
+function detectAiken(content) {
+  return /^ANSWER:\s*[A-Z]\s*$/im.test(content) && /^[A-Z][.)]\s+\S/m.test(content)
+}
+
+module.exports = {
+  parseAiken,
+  detectAiken,
+}
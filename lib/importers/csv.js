@@ -0,0 +1,241 @@
+const { createOption, createDiagnostics } = require("../testParser")
+const { DIFFICULTIES, parseTags } = require("../questionBank")
+
+const OPTION_HEADER = /^(?:option\s*(\d+)|([a-j]))$/i
+const KNOWN_HEADERS = ["question", "type", "answer", "tolerance", "topic", "difficulty", "tags", "image"]
+const HEADER_ALIASES = { text: "question", correct: "answer" }
+const TYPES = ["multiple-choice", "multiple-answer", "text", "numeric", "true-false"]
+
+/**
+ * Split CSV content into rows of cells (RFC 4180 quoting)
+ * @returns {Array} Rows as { line, cells }
+ */
+function readRows(content, delimiter) {
+  const rows = []
+  let cells = []
+  let cell = ""
+  let quoted = false
+  let line = 1
+  let rowLine = 1
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i]
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        if (char === "\n") line++
+        cell += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === delimiter) {
+      cells.push(cell)
+      cell = ""
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") i++
+      cells.push(cell)
+      rows.push({ line: rowLine, cells })
+      cells = []
+      cell = ""
+      line++
+      rowLine = line
+    } else {
+      cell += char
+    }
+  }
+
+  cells.push(cell)
+  rows.push({ line: rowLine, cells })
+
+  return rows.filter((row) => row.cells.some((c) => c.trim()))
+}
+
+// Spreadsheets export with "," or ";" (or tabs) depending on locale
+function detectDelimiter(headerLine) {
+  const counts = [",", ";", "\t"].map((d) => ({ d, count: headerLine.split(d).length }))
+  return counts.sort((a, b) => b.count - a.count)[0].d
+}
+
+/**
+ * Parse questions from a spreadsheet CSV export
+ * The first row is a header. Recognized columns (case-insensitive):
+ * question, type, A..J or option1..optionN, answer, tolerance, topic, difficulty, tags, image
+ *
+ * answer holds the correct letters or option numbers ("B", "A;C", "2"; "AC" on multiple-answer rows),
+ * the accepted spellings of a text answer separated by "|", a number for numeric questions or true/false.
+ * Without a type column the type is inferred from the row.
+ *
+ * @param {string} content - Raw file content
+ * @returns {Object} { questions, errors, warnings }
+ */
+function parseCsv(content) {
+  const text = content.replace(/^\ufeff/, "")
+  const diagnostics = createDiagnostics()
+  const questions = []
+
+  const rows = readRows(text, detectDelimiter(text.split(/\r?\n/)[0]))
+  const [header, ...dataRows] = rows
+
+  if (!header) {
+    diagnostics.error(1, "The file is empty")
+    return { questions, errors: diagnostics.errors, warnings: diagnostics.warnings }
+  }
+
+  // Map every column to a field name or an option slot
+  const columns = header.cells.map((cell) => {
+    const name = cell.trim().toLowerCase()
+    const option = name.match(OPTION_HEADER)
+    if (option) {
+      return { option: option[1] ? Number(option[1]) - 1 : option[2].charCodeAt(0) - 97 }
+    }
+    const field = HEADER_ALIASES[name] || name
+    if (!KNOWN_HEADERS.includes(field)) {
+      if (name) diagnostics.warning(header.line, `Unknown column "${cell.trim()}" was ignored`)
+      return {}
+    }
+    return { field }
+  })
+
+  if (!columns.some((c) => c.field === "question")) {
+    diagnostics.error(header.line, 'The header row needs a "question" column')
+    return { questions, errors: diagnostics.errors, warnings: diagnostics.warnings }
+  }
+
+  dataRows.forEach((row) => {
+    const record = { options: [] }
+    columns.forEach((column, index) => {
+      const value = (row.cells[index] || "").trim()
+      if (column.field) record[column.field] = value
+      else if (column.option !== undefined && value) record.options[column.option] = value
+    })
+
+    const question = parseRecord(record, row.line, diagnostics)
+    if (question) questions.push(question)
+  })
+
+  return { questions, errors: diagnostics.errors, warnings: diagnostics.warnings }
+}
+
+/**
+ * Convert one CSV record into a question
+ * @returns {Object|null} Question, or null when the row has errors
+ */
+function parseRecord(record, line, diagnostics) {
+  const optionTexts = record.options.filter(Boolean)
+  const answer = record.answer || ""
+
+  if (!record.question) {
+    diagnostics.error(line, "Question text is empty")
+    return null
+  }
+
+  let type = (record.type || "").toLowerCase()
+  if (type && !TYPES.includes(type)) {
+    diagnostics.error(line, `Unknown question type "${record.type}"`)
+    return null
+  }
+  if (!type) {
+    type = optionTexts.length > 0 ? "multiple-choice" : /^-?\d+([.,]\d+)?$/.test(answer) ? "numeric" : "text"
+  }
+
+  const question = { text: record.question, type, image: record.image || null }
+
+  if (record.topic) question.topic = record.topic
+  if (record.tags) question.tags = parseTags(record.tags)
+  if (record.difficulty) {
+    if (DIFFICULTIES.includes(record.difficulty.toLowerCase())) {
+      question.difficulty = record.difficulty.toLowerCase()
+    } else {
+      diagnostics.warning(line, `Unknown difficulty "${record.difficulty}" was ignored`)
+    }
+  }
+
+  if (!answer) {
+    diagnostics.error(line, "The answer column is empty")
+    return null
+  }
+
+  if (type === "text") {
+    question.acceptedAnswers = answer.split("|").map((a) => a.trim()).filter(Boolean)
+    question.correctAnswer = question.acceptedAnswers[0]
+    return question
+  }
+
+  if (type === "numeric") {
+    const value = Number(answer.replace(",", "."))
+    const tolerance = record.tolerance ? Math.abs(Number(record.tolerance.replace(",", "."))) : 0
+    if (Number.isNaN(value) || Number.isNaN(tolerance)) {
+      diagnostics.error(line, `Numeric answer "${answer}" is not a number`)
+      return null
+    }
+    return { ...question, correctAnswer: value, tolerance }
+  }
+
+  if (type === "true-false") {
+    const isTrue = /^(true|t|yes|ha|1)$/i.test(answer)
+    if (!isTrue && !/^(false|f|no|yo'q|0)$/i.test(answer)) {
+      diagnostics.error(line, `"${answer}" is not true or false`)
+      return null
+    }
+    return {
+      ...question,
+      type: "multiple-choice",
+      options: [createOption("To'g'ri", isTrue, 0), createOption("Noto'g'ri", !isTrue, 1)],
+    }
+  }
+
+  if (optionTexts.length < 2) {
+    diagnostics.error(line, "Question needs at least two options")
+    return null
+  }
+
+  // Answers are letters (A, C) or 1-based option numbers, separated by ; , or spaces;
+  // multiple-answer rows may also run letters together ("AC")
+  const tokens = answer.split(/[\s,;]+/).filter(Boolean)
+  const invalid = tokens.find(
+    (token) => !/^(\d+|[a-j])$/i.test(token) && !(type === "multiple-answer" && /^[a-j]+$/i.test(token)),
+  )
+  if (invalid !== undefined) {
+    diagnostics.error(line, `Answer "${invalid}" is not an option letter (A-J) or number`)
+    return null
+  }
+
+  const correctIndexes = tokens.flatMap((token) =>
+    /^\d+$/.test(token) ? [Number(token) - 1] : [...token.toLowerCase()].map((letter) => letter.charCodeAt(0) - 97),
+  )
+
+  const slots = record.options.map((text, index) => ({ text, index })).filter((slot) => slot.text)
+  if (correctIndexes.some((index) => !slots.some((slot) => slot.index === index))) {
+    diagnostics.error(line, `Answer "${answer}" does not match any option`)
+    return null
+  }
+
+  question.options = slots.map((slot, i) => createOption(slot.text, correctIndexes.includes(slot.index), i))
+
+  if (correctIndexes.length > 1) {
+    question.type = "multiple-answer"
+  } else if (type === "multiple-answer") {
+    diagnostics.warning(line, "Multiple-answer question has a single correct option")
+  }
+
+  return question
+}
+
+/**
+ * Recognize CSV content by a header row with a question column
+ */
+function detectCsv(content) {
+  const headerLine = content.replace(/^\ufeff/, "").split(/\r?\n/)[0].toLowerCase()
+  const delimiter = detectDelimiter(headerLine)
+  return headerLine.split(delimiter).some((cell) => ["question", "text", '"question"'].includes(cell.trim()))
+}
+
+module.exports = {
+  parseCsv,
+  detectCsv,
+}
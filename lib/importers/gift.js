@@ -0,0 +1,253 @@
+const { createOption, createDiagnostics } = require("../testParser")
+
+// Escaped characters (\~ \= \# \{ \} \:) are swapped for private-use placeholders while parsing
+const protect = (text) =>
+  text.replace(/\\(.)/g, (match, char) => (char === "n" ? "\n" : String.fromCharCode(0xe000 + char.charCodeAt(0))))
+const restore = (text) =>
+  text.replace(/[\ue000-\ue0ff]/g, (char) => String.fromCharCode(char.charCodeAt(0) - 0xe000)).trim()
+
+const FORMAT_PREFIX = /^\[(html|markdown|plain|moodle)\]/i
+const TRUE_FALSE = /^(T|TRUE|F|FALSE)$/i
+
+/**
+ * Parse questions in the Moodle GIFT format
+ * Supported: multiple choice (=/~, with %weights%), true/false ({T} / {F}),
+ * short answer ({=a =b}) and numeric ({#3.14:0.01}, {#1..5}).
+ * Matching, essay and description items are reported as errors instead of being dropped.
+ *
+ * @param {string} content - Raw file content
+ * @returns {Object} { questions, errors, warnings }
+ */
+function parseGift(content) {
+  const lines = content.replace(/^\ufeff/, "").split(/\r?\n/)
+  const diagnostics = createDiagnostics()
+  const questions = []
+
+  let topic = null
+  let block = null
+
+  const finish = () => {
+    if (!block) return
+    const question = parseBlock(block.text, block.line, diagnostics)
+    if (question) {
+      if (topic) question.topic = topic
+      questions.push(question)
+    }
+    block = null
+  }
+
+  lines.forEach((rawLine, i) => {
+    const line = rawLine.trim()
+    const lineNumber = i + 1
+
+    if (line.startsWith("//")) return
+
+    if (!line) {
+      finish()
+      return
+    }
+
+    const category = line.match(/^\$CATEGORY:\s*(.*)$/i)
+    if (category && !block) {
+      // "$course$/Algebra/Linear" -> "Linear"
+      topic = category[1].split("/").filter(Boolean).pop() || null
+      return
+    }
+
+    if (block) {
+      block.text += `\n${line}`
+    } else {
+      block = { line: lineNumber, text: line }
+    }
+  })
+
+  finish()
+
+  const byLine = (a, b) => a.line - b.line
+
+  return {
+    questions,
+    errors: diagnostics.errors.sort(byLine),
+    warnings: diagnostics.warnings.sort(byLine),
+  }
+}
+
+/**
+ * Parse a single GIFT question block
+ * @returns {Object|null} Question, or null when the block could not be converted
+ */
+function parseBlock(rawText, line, diagnostics) {
+  let text = protect(rawText)
+
+  // Optional ::Title::
+  text = text.replace(/^::[\s\S]*?::/, "").trim()
+  text = text.replace(FORMAT_PREFIX, "").trim()
+
+  const open = text.indexOf("{")
+  const close = text.indexOf("}", open)
+
+  if (open === -1 || close === -1) {
+    diagnostics.error(line, "Description items (no answer block) are not supported")
+    return null
+  }
+
+  const before = text.substring(0, open).trim()
+  const after = text.substring(close + 1).trim()
+  const body = text.substring(open + 1, close).replace(FORMAT_PREFIX, "").trim()
+
+  // "Missing word" questions keep a blank where the answer block was
+  const questionText = restore(after ? `${before} _____ ${after}` : before)
+
+  if (!questionText) {
+    diagnostics.error(line, "Question text is empty")
+    return null
+  }
+
+  const question = { text: questionText, type: "multiple-choice", options: [], image: null }
+
+  if (!body) {
+    diagnostics.error(line, "Essay questions ({}) are not supported")
+    return null
+  }
+
+  const [answerPart, ...feedback] = body.split("#")
+
+  if (TRUE_FALSE.test(answerPart.trim())) {
+    if (feedback.length > 0) diagnostics.warning(line, "Feedback is not supported and was ignored")
+    const isTrue = /^T/i.test(answerPart.trim())
+    question.options = [createOption("To'g'ri", isTrue, 0), createOption("Noto'g'ri", !isTrue, 1)]
+    return question
+  }
+
+  if (body.startsWith("#")) {
+    return parseNumeric(question, body.substring(1), line, diagnostics)
+  }
+
+  if (body.includes("->")) {
+    diagnostics.error(line, "Matching questions are not supported")
+    return null
+  }
+
+  const answers = splitAnswers(body, line, diagnostics)
+
+  if (answers.length === 0) {
+    diagnostics.error(line, "Answer block has no answers")
+    return null
+  }
+
+  if (answers.every((a) => a.marker === "=")) {
+    // Only "=" answers: short answer with every accepted spelling
+    if (answers.some((a) => a.weight !== null && a.weight < 100)) {
+      diagnostics.warning(line, "Partial credit weights are not supported and were ignored")
+    }
+    const accepted = answers.filter((a) => a.weight === null || a.weight > 0).map((a) => a.text)
+    return { ...question, type: "text", options: undefined, acceptedAnswers: accepted, correctAnswer: accepted[0] }
+  }
+
+  if (answers.some((a) => a.weight !== null && a.weight > 0 && a.weight < 100)) {
+    diagnostics.warning(line, "Partial credit weights are not supported; any positive weight counts as correct")
+  }
+
+  question.options = answers.map((a, index) =>
+    createOption(a.text, a.marker === "=" || (a.weight !== null && a.weight > 0), index),
+  )
+
+  const correctCount = question.options.filter((o) => o.correct).length
+  if (correctCount === 0) {
+    diagnostics.error(line, "Question has no correct answer (=)")
+    return null
+  }
+  if (correctCount > 1) {
+    question.type = "multiple-answer"
+  }
+
+  return question
+}
+
+/**
+ * Split "=right ~wrong ~%50%half" into { marker, weight, text } entries
+ */
+function splitAnswers(body, line, diagnostics) {
+  const answers = []
+  let feedbackWarned = false
+
+  body
+    .split(/(?=[=~])/)
+    .map((token) => token.trim())
+    .filter(Boolean)
+    .forEach((token) => {
+      const marker = token.charAt(0)
+      if (marker !== "=" && marker !== "~") {
+        diagnostics.warning(line, `Text "${restore(token)}" outside of an answer was ignored`)
+        return
+      }
+
+      let rest = token.substring(1)
+      let weight = null
+      const weightMatch = rest.match(/^%(-?\d+(?:\.\d+)?)%/)
+      if (weightMatch) {
+        weight = Number(weightMatch[1])
+        rest = rest.substring(weightMatch[0].length)
+      }
+
+      const [answerText, ...feedback] = rest.split("#")
+      if (feedback.length > 0 && !feedbackWarned) {
+        diagnostics.warning(line, "Feedback is not supported and was ignored")
+        feedbackWarned = true
+      }
+
+      answers.push({ marker, weight, text: restore(answerText) })
+    })
+
+  return answers
+}
+
+/**
+ * Parse the body of a numeric answer block: "3.14:0.01", "1..5" or "=3:0 =%50%3:1"
+ */
+function parseNumeric(question, body, line, diagnostics) {
+  const specs = body.includes("=") ? body.split("=").map((s) => s.trim()).filter(Boolean) : [body.trim()]
+  const full = specs.find((s) => !s.startsWith("%") || s.startsWith("%100%")) || specs[0]
+
+  if (specs.length > 1) {
+    diagnostics.warning(line, "Only the first fully correct numeric answer is used")
+  }
+
+  const [spec, ...feedback] = full.replace(/^%\d+%/, "").split("#")
+  if (feedback.length > 0) diagnostics.warning(line, "Feedback is not supported and was ignored")
+
+  let value
+  let tolerance = 0
+  const range = spec.match(/^(-?[\d.]+)\.\.(-?[\d.]+)$/)
+
+  if (range) {
+    const min = Number(range[1])
+    const max = Number(range[2])
+    value = (min + max) / 2
+    tolerance = Math.abs(max - min) / 2
+  } else {
+    const [valuePart, tolerancePart] = spec.split(":")
+    value = Number(valuePart)
+    tolerance = tolerancePart ? Math.abs(Number(tolerancePart)) : 0
+  }
+
+  if (!spec.trim() || Number.isNaN(value) || Number.isNaN(tolerance)) {
+    diagnostics.error(line, `Numeric answer "${restore(spec)}" is not a number`)
+    return null
+  }
+
+  const { options, ...numeric } = question
+  return { ...numeric, type: "numeric", correctAnswer: value, tolerance }
+}
+
+/**
+ * Recognize GIFT content by its answer blocks
+ */
+function detectGift(content) {
+  return /\{[\s\S]*?(=|~|#|\bT\b|\bF\b|TRUE|FALSE)[\s\S]*?\}/.test(content) && /^[^#+@=~!-]/m.test(content)
+}
+
+module.exports = {
+  parseGift,
+  detectGift,
+}
@@ -0,0 +1,60 @@
+const path = require("path")
+const { parseTestFile } = require("../testParser")
+const { parseGift, detectGift } = require("./gift")
+const { parseAiken, detectAiken } = require("./aiken")
+const { parseCsv, detectCsv } = require("./csv")
+
+/**
+ * Registered question file formats
+ * Every importer takes the raw file content and returns { questions, errors, warnings }
+ * with the same question shape as parseTestFile. Register new formats here.
+ */
+const importers = {
+  native: { parse: parseTestFile, extensions: [".txt"] },
+  gift: { parse: parseGift, detect: detectGift, extensions: [".gift"] },
+  aiken: { parse: parseAiken, detect: detectAiken, extensions: [".aiken"] },
+  csv: { parse: parseCsv, detect: detectCsv, extensions: [".csv"] },
+}
+
+/**
+ * Guess the format of a question file from its extension, then its content
+ * Plain .txt files are checked against each format before falling back to the native one.
+ * @param {string} content - Raw file content
+ * @param {string} fileName - Original file name
+ * @returns {string} Format name
+ */
+function detectFormat(content, fileName = "") {
+  const extension = path.extname(fileName).toLowerCase()
+  const byExtension = Object.keys(importers).find(
+    (name) => name !== "native" && importers[name].extensions.includes(extension),
+  )
+  if (byExtension) return byExtension
+
+  // The native format always starts its questions with "#"
+  if (/^\s*#/.test(content)) return "native"
+
+  const byContent = ["aiken", "csv", "gift"].find((name) => importers[name].detect(content))
+  return byContent || "native"
+}
+
+/**
+ * Import questions from a file in any registered format
+ * @param {string} content - Raw file content
+ * @param {Object} options - { format: explicit format or "auto", fileName }
+ * @returns {Object} { format, questions, errors, warnings }
+ */
+function importQuestions(content, { format = "auto", fileName } = {}) {
+  const formatName = !format || format === "auto" ? detectFormat(content, fileName) : format
+
+  if (!importers[formatName]) {
+    throw new Error(`Unsupported import format: ${formatName}`)
+  }
+
+  return { format: formatName, ...importers[formatName].parse(content) }
+}
+
+module.exports = {
+  formats: Object.keys(importers),
+  detectFormat,
+  importQuestions,
+}
@@ -0,0 +1,109 @@
+const fs = require("fs")
+const path = require("path")
+const AdmZip = require("adm-zip")
+const { importQuestions } = require("./index")
+
+const QUESTION_EXTENSIONS = [".txt", ".gift", ".aiken", ".csv"]
+// No SVG: uploads are served from the app's origin, and an SVG can carry scripts
+const IMAGE_EXTENSIONS = [".png", ".jpg", ".jpeg", ".gif", ".webp", ".bmp"]
+const MAX_UNCOMPRESSED_SIZE = 100 * 1024 * 1024 // 100 MB
+
+/**
+ * Import a ZIP archive holding one question file plus the images it references
+ * Images are matched by their path inside the archive or by bare file name, copied into
+ * `uploadsDir` under unique names, and `question.image` is rewritten to `/uploads/<name>`.
+ * Nothing is written in dry-run mode or when the import has errors; missing images are reported as errors.
+ *
+ * @param {string} zipPath - Path of the uploaded archive
+ * @param {Object} options - { format, uploadsDir, dryRun }
+ * @returns {Object} { format, fileName, questions, errors, warnings }
+ */
+function importZip(zipPath, { format = "auto", uploadsDir, dryRun = false }) {
+  const entries = new AdmZip(zipPath).getEntries().filter((entry) => !entry.isDirectory)
+  const isHidden = (entry) => entry.entryName.split("/").some((part) => part.startsWith(".") || part === "__MACOSX")
+  const visible = entries.filter((entry) => !isHidden(entry))
+
+  const totalSize = visible.reduce((sum, entry) => sum + entry.header.size, 0)
+  if (totalSize > MAX_UNCOMPRESSED_SIZE) {
+    return failure("The archive is too large when extracted")
+  }
+
+  const questionFiles = visible.filter((entry) => QUESTION_EXTENSIONS.includes(extensionOf(entry)))
+  if (questionFiles.length !== 1) {
+    return failure(
+      questionFiles.length === 0
+        ? "The archive has no question file (.txt, .gift, .aiken or .csv)"
+        : `The archive must hold exactly one question file, found: ${questionFiles.map((e) => e.entryName).join(", ")}`,
+    )
+  }
+
+  const questionFile = questionFiles[0]
+  const result = importQuestions(questionFile.getData().toString("utf8"), {
+    format,
+    fileName: questionFile.entryName,
+  })
+
+  // Index images by their path relative to the question file and by bare name
+  const baseDir = path.posix.dirname(questionFile.entryName)
+  const images = new Map()
+  visible
+    .filter((entry) => IMAGE_EXTENSIONS.includes(extensionOf(entry)))
+    .forEach((entry) => {
+      const relative = path.posix.relative(baseDir === "." ? "" : baseDir, entry.entryName)
+      images.set(relative.toLowerCase(), entry)
+      if (!images.has(path.posix.basename(entry.entryName).toLowerCase())) {
+        images.set(path.posix.basename(entry.entryName).toLowerCase(), entry)
+      }
+    })
+
+  const errors = [...result.errors]
+  const resolved = []
+
+  result.questions.forEach((question, index) => {
+    if (!question.image || question.image.startsWith("/uploads/") || /^https?:\/\//.test(question.image)) return
+
+    const reference = question.image.replace(/\\/g, "/").replace(/^\.?\//, "")
+    const entry = images.get(reference.toLowerCase()) || images.get(path.posix.basename(reference).toLowerCase())
+
+    if (entry) {
+      resolved.push({ question, entry })
+    } else {
+      const supported = IMAGE_EXTENSIONS.includes(path.posix.extname(reference).toLowerCase())
+      errors.push({
+        line: null,
+        message: `Question ${index + 1} ("${question.text.slice(0, 40)}"): image "${question.image}" ${
+          supported ? "was not found in the archive" : `is not a supported image (${IMAGE_EXTENSIONS.join(", ")})`
+        }`,
+      })
+    }
+  })
+
+  // Only extract when the import will be accepted, so rejected archives leave no files behind
+  if (!dryRun && errors.length === 0) {
+    const extracted = new Map()
+    resolved.forEach(({ question, entry }) => {
+      // The same image may be used by several questions; extract it once
+      if (!extracted.has(entry.entryName)) {
+        const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9)
+        const fileName = `image-${uniqueSuffix}${extensionOf(entry)}`
+        fs.writeFileSync(path.join(uploadsDir, fileName), entry.getData())
+        extracted.set(entry.entryName, `/uploads/${fileName}`)
+      }
+      question.image = extracted.get(entry.entryName)
+    })
+  }
+
+  return { ...result, fileName: questionFile.entryName, errors }
+}
+
+function extensionOf(entry) {
+  return path.posix.extname(entry.entryName).toLowerCase()
+}
+
+function failure(message) {
+  return { format: null, fileName: null, questions: [], errors: [{ line: null, message }], warnings: [] }
+}
+
+module.exports = {
+  importZip,
+}
@@ -0,0 +1,261 @@
+const { v4: uuidv4 } = require("uuid")
+const { getStore } = require("./storage")
+const { findLinkByUserId } = require("./telegramLinks")
+
+// Telegram notification outbox: messages are stored first and delivered by a worker,
+// so they survive restarts and failed sends are retried instead of being lost
+const NOTIFICATIONS = "notifications"
+const STATUSES = ["pending", "sent", "failed"]
+// Categories students can opt out of (user.notificationPreferences[category] = false)
+const CATEGORIES = ["test-published", "result", "broadcast"]
+
+const MAX_ATTEMPTS = Number(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5
+const RETRY_BASE_MS = 30 * 1000 // 30s, 1m, 2m, 4m ...
+const RETRY_MAX_MS = 60 * 60 * 1000 // 1 hour
+// Telegram allows about 30 messages per second overall; stay well below it
+const SEND_INTERVAL_MS = 50
+const POLL_INTERVAL_MS = 5 * 1000
+
+let worker = null
+let processing = false
+// Set when Telegram answers 429; nothing is sent until then
+let pausedUntil = 0
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * Status of a notification, including records written before the outbox existed ({ sent: true|false })
+ */
+function statusOf(notification) {
+  return notification.status || (notification.sent ? "sent" : "pending")
+}
+
+/**
+ * Store a message for delivery by the outbox worker
+ * @param {Object} notification - { userId, chatId, telegram, message, category }
+ * @returns {Object} The stored notification
+ */
+function enqueueNotification({ userId = null, chatId = null, telegram = null, message, category = "general" }) {
+  const notification = {
+    id: uuidv4(),
+    userId,
+    telegram,
+    chatId,
+    category,
+    message,
+    status: "pending",
+    sent: false,
+    attempts: 0,
+    nextAttemptAt: new Date().toISOString(),
+    lastError: null,
+    createdAt: new Date().toISOString(),
+    sentAt: null,
+  }
+
+  getStore().insert(NOTIFICATIONS, notification)
+  return notification
+}
+
+/**
+ * Whether a user accepts notifications of a category; everything is on by default
+ */
+function wantsNotification(user, category) {
+  return !(user.notificationPreferences && user.notificationPreferences[category] === false)
+}
+
+/**
+ * Notification preferences of a user with defaults filled in
+ * @returns {Object} { [category]: boolean }
+ */
+function notificationPreferences(user) {
+  return CATEGORIES.reduce((prefs, category) => ({ ...prefs, [category]: wantsNotification(user, category) }), {})
+}
+
+/**
+ * Queue a message for a platform user, unless they opted out of the category
+ * or have no Telegram account linked
+ * @param {Object} user - User record
+ * @param {string} category - One of CATEGORIES
+ * @param {string} message - Message text
+ * @returns {Object|null} The queued notification, or null when nothing was queued
+ */
+function notifyUser(user, category, message) {
+  if (!user || !wantsNotification(user, category) || !findLinkByUserId(user.id)) return null
+
+  return enqueueNotification({ userId: user.id, telegram: user.telegram || null, category, message })
+}
+
+/**
+ * Apply changes to one stored notification
+ */
+function updateNotification(id, changes) {
+  let updated = null
+  getStore().update(NOTIFICATIONS, (notifications) =>
+    notifications.map((n) => {
+      if (n.id !== id) return n
+      updated = { ...n, ...changes }
+      return updated
+    }),
+  )
+  return updated
+}
+
+/**
+ * Chat to deliver a notification to: its own chat id, or the chat linked to its user
+ */
+function resolveChatId(notification) {
+  if (notification.chatId) return notification.chatId
+  const link = notification.userId ? findLinkByUserId(notification.userId) : null
+  return link ? link.chatId : null
+}
+
+/**
+ * Delay before the next attempt, doubling after every failure
+ */
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1), RETRY_MAX_MS)
+}
+
+/**
+ * Errors that will not go away by retrying: the bot was blocked, the chat does not exist, ...
+ */
+function isPermanentError(err) {
+  const code = err.response && err.response.error_code
+  return code === 400 || code === 403
+}
+
+/**
+ * Deliver one notification and record the outcome
+ * @returns {Promise<string>} Resulting status
+ */
+async function deliver(telegram, notification) {
+  const attempts = (notification.attempts || 0) + 1
+  const chatId = resolveChatId(notification)
+
+  if (!chatId) {
+    updateNotification(notification.id, {
+      status: "failed",
+      attempts,
+      lastError: "No Telegram chat linked to this user",
+      lastAttemptAt: new Date().toISOString(),
+    })
+    return "failed"
+  }
+
+  try {
+    await telegram.sendMessage(chatId, notification.message)
+
+    // Only marked as sent once Telegram has accepted the message
+    updateNotification(notification.id, {
+      status: "sent",
+      sent: true,
+      chatId,
+      attempts,
+      lastError: null,
+      sentAt: new Date().toISOString(),
+      lastAttemptAt: new Date().toISOString(),
+    })
+    return "sent"
+  } catch (err) {
+    const retryAfter = err.response && err.response.parameters && err.response.parameters.retry_after
+    const rateLimited = err.response && err.response.error_code === 429
+
+    if (rateLimited) {
+      // Hitting the rate limit is not the message's fault; do not count the attempt
+      pausedUntil = Date.now() + (retryAfter || 1) * 1000
+      updateNotification(notification.id, {
+        nextAttemptAt: new Date(pausedUntil).toISOString(),
+        lastError: err.message,
+      })
+      return "pending"
+    }
+
+    const failed = isPermanentError(err) || attempts >= MAX_ATTEMPTS
+    updateNotification(notification.id, {
+      status: failed ? "failed" : "pending",
+      attempts,
+      lastError: err.message,
+      lastAttemptAt: new Date().toISOString(),
+      nextAttemptAt: failed ? null : new Date(Date.now() + retryDelay(attempts)).toISOString(),
+    })
+    console.error(`Error sending notification ${notification.id} (attempt ${attempts}):`, err.message)
+    return failed ? "failed" : "pending"
+  }
+}
+
+/**
+ * Send every due notification once, oldest first
+ * @param {Object} telegram - Telegram API client (bot.telegram)
+ * @returns {Promise<Object>} { sent, failed, pending } counts for this run
+ */
+async function processOutbox(telegram) {
+  const counts = { sent: 0, failed: 0, pending: 0 }
+  if (processing || Date.now() < pausedUntil) return counts
+
+  processing = true
+  try {
+    const now = Date.now()
+    const due = getStore()
+      .read(NOTIFICATIONS)
+      .filter((n) => statusOf(n) === "pending" && (!n.nextAttemptAt || new Date(n.nextAttemptAt).getTime() <= now))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+
+    for (const notification of due) {
+      if (Date.now() < pausedUntil) break
+
+      counts[await deliver(telegram, notification)]++
+      await sleep(SEND_INTERVAL_MS)
+    }
+  } catch (err) {
+    console.error("Error processing notification outbox:", err)
+  } finally {
+    processing = false
+  }
+
+  return counts
+}
+
+/**
+ * Start delivering notifications in the background (works with both polling and webhooks)
+ * @param {Object} telegram - Telegram API client (bot.telegram)
+ */
+function startOutboxWorker(telegram) {
+  if (worker) return
+
+  processOutbox(telegram)
+  worker = setInterval(() => processOutbox(telegram), POLL_INTERVAL_MS)
+  // The worker alone should not keep the process alive
+  worker.unref()
+}
+
+function stopOutboxWorker() {
+  if (worker) clearInterval(worker)
+  worker = null
+}
+
+/**
+ * Put a failed notification back in the queue with a fresh attempt count
+ * @returns {Object|null} The requeued notification, or null if it does not exist
+ */
+function requeueNotification(id) {
+  return updateNotification(id, {
+    status: "pending",
+    sent: false,
+    attempts: 0,
+    nextAttemptAt: new Date().toISOString(),
+  })
+}
+
+module.exports = {
+  NOTIFICATION_STATUSES: STATUSES,
+  NOTIFICATION_CATEGORIES: CATEGORIES,
+  statusOf,
+  wantsNotification,
+  notificationPreferences,
+  enqueueNotification,
+  notifyUser,
+  processOutbox,
+  startOutboxWorker,
+  stopOutboxWorker,
+  requeueNotification,
+}
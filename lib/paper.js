@@ -0,0 +1,49 @@
+const { createRng, shuffle } = require("./random")
+const { selectRandomQuestions } = require("./testParser")
+const { matchesRule } = require("./questionBank")
+
+/**
+ * Build the question paper for a single attempt
+ * Draws `test.drawCount` questions from the test's pool (or `count` questions per rule when the test
+ * was generated from a blueprint), then shuffles question order
+ * (`test.shuffleQuestions`) and option order (`test.shuffleOptions`).
+ * The same test and seed always produce the same paper, so it can be rebuilt for review and grading.
+ *
+ * @param {Object} test - Test holding the question pool and drawing settings
+ * @param {number} seed - Seed stored on the attempt; without one the test's questions are used as-is
+ * @returns {Array} Questions of the paper, in presentation order
+ */
+function buildPaper(test, seed) {
+  const pool = test.questions || []
+
+  if (seed === undefined || seed === null) {
+    return pool
+  }
+
+  const rng = createRng(seed)
+  let drawn
+
+  if (Array.isArray(test.blueprint) && test.blueprint.length > 0) {
+    // Draw each rule from the questions matching it, never picking the same question twice;
+    // rules are stored most restrictive first (see orderBlueprint)
+    drawn = []
+    test.blueprint.forEach((rule) => {
+      const candidates = pool.filter((q) => !drawn.includes(q) && matchesRule(q, rule))
+      drawn.push(...selectRandomQuestions(candidates, rule.count, rng))
+    })
+  } else {
+    const count = test.drawCount > 0 ? test.drawCount : pool.length
+    drawn = selectRandomQuestions(pool, count, rng)
+  }
+
+  // Keep the authored order unless the test asks for shuffling
+  const questions = test.shuffleQuestions ? shuffle(drawn, rng) : pool.filter((q) => drawn.includes(q))
+
+  return questions.map((q) =>
+    test.shuffleOptions && Array.isArray(q.options) ? { ...q, options: shuffle(q.options, rng) } : q,
+  )
+}
+
+module.exports = {
+  buildPaper,
+}
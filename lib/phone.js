@@ -0,0 +1,46 @@
+// Country code assumed for numbers entered without one (Uzbekistan by default)
+const DEFAULT_COUNTRY_CODE = (process.env.DEFAULT_PHONE_COUNTRY_CODE || "998").replace(/\D/g, "")
+// Digits of a number in that country without the country code (9 in Uzbekistan)
+const NATIONAL_NUMBER_LENGTH = Number(process.env.DEFAULT_PHONE_NATIONAL_LENGTH) || 9
+
+/**
+ * Normalize a phone number to E.164 ("+998901234567")
+ * Accepts spaces, dashes, brackets, a "00" international prefix and local numbers
+ * without a country code ("90 123 45 67"). Telegram contacts come without the "+".
+ * Without a "+" or "00", only a full-length number starting with the default country code is
+ * international; "99 812 34 56" is a local number even though its digits start with 998.
+ * @param {string} value - Phone number as entered or shared
+ * @returns {string|null} E.164 number, or null when it cannot be a phone number
+ */
+function normalizePhone(value) {
+  const raw = (value ?? "").toString().trim()
+  if (!raw || /[^\d\s()+.-]/.test(raw)) return null
+
+  let digits = raw.replace(/\D/g, "")
+  if (raw.startsWith("00")) {
+    digits = digits.substring(2)
+  } else if (!raw.startsWith("+") && DEFAULT_COUNTRY_CODE) {
+    const international =
+      digits.startsWith(DEFAULT_COUNTRY_CODE) && digits.length === DEFAULT_COUNTRY_CODE.length + NATIONAL_NUMBER_LENGTH
+    // Local number; drop a trunk "0" prefix if present
+    if (!international) digits = DEFAULT_COUNTRY_CODE + digits.replace(/^0/, "")
+  }
+
+  // E.164 allows at most 15 digits; anything under 8 is not a subscriber number
+  if (digits.length < 8 || digits.length > 15 || digits.startsWith("0")) return null
+
+  return `+${digits}`
+}
+
+/**
+ * Whether two phone numbers are the same once normalized
+ */
+function samePhone(a, b) {
+  const left = normalizePhone(a)
+  return Boolean(left) && left === normalizePhone(b)
+}
+
+module.exports = {
+  normalizePhone,
+  samePhone,
+}
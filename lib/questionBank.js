@@ -0,0 +1,161 @@
+const { PARTIAL_CREDIT_MODES, SCORING_OVERRIDES } = require("./grader")
+const { compilePattern } = require("./textMatching")
+
+const DIFFICULTIES = ["easy", "medium", "hard"]
+const QUESTION_TYPES = ["multiple-choice", "multiple-answer", "text", "numeric"]
+
+const normalize = (value) => (value || "").toString().trim().toLowerCase()
+
+/**
+ * Check whether a question satisfies a filter or blueprint rule
+ * Every field that is set on the rule must match; unset fields match anything.
+ *
+ * @param {Object} question - Question bank entry
+ * @param {Object} rule - { topic, difficulty, type, tags, author, search }
+ * @returns {boolean}
+ */
+function matchesRule(question, rule) {
+  if (rule.topic && normalize(question.topic) !== normalize(rule.topic)) return false
+  if (rule.difficulty && question.difficulty !== rule.difficulty) return false
+  if (rule.type && question.type !== rule.type) return false
+  if (rule.author && question.author !== rule.author) return false
+
+  if (rule.tags && rule.tags.length > 0) {
+    const questionTags = (question.tags || []).map(normalize)
+    if (!rule.tags.every((tag) => questionTags.includes(normalize(tag)))) return false
+  }
+
+  if (rule.search) {
+    const haystack = [question.text, ...(question.options || []).map((o) => o.text)].map(normalize).join("\n")
+    if (!haystack.includes(normalize(rule.search))) return false
+  }
+
+  return true
+}
+
+/**
+ * Order blueprint rules so the most restrictive ones (fewest matching questions) draw first
+ * Rules with equal matches keep their order.
+ * @param {Array} questions - Questions the rules draw from
+ * @param {Array} rules - Blueprint rules
+ * @returns {Array} The same rules, reordered
+ */
+function orderBlueprint(questions, rules) {
+  const matches = (rule) => questions.filter((q) => matchesRule(q, rule)).length
+  return rules
+    .map((rule, index) => ({ rule, index, matches: matches(rule) }))
+    .sort((a, b) => a.matches - b.matches || a.index - b.index)
+    .map(({ rule }) => rule)
+}
+
+/**
+ * Rules of a blueprint that can come up short when a paper is drawn
+ * Papers draw rule by rule, in order, never picking a question twice. In the worst case every
+ * earlier rule draws its questions from the ones this rule also matches, so a rule is only safe
+ * when enough of its matches are left after that.
+ * @param {Array} questions - Questions the rules draw from
+ * @param {Array} rules - Blueprint rules, in drawing order
+ * @returns {Array} [{ rule, requested, available }] with `rule` the index in `rules`; empty when every draw is full
+ */
+function blueprintShortages(questions, rules) {
+  const matching = rules.map((rule) => questions.filter((q) => matchesRule(q, rule)))
+
+  return rules
+    .map((rule, index) => {
+      const taken = matching
+        .slice(0, index)
+        .reduce((sum, earlier, i) => sum + Math.min(rules[i].count, earlier.filter((q) => matching[index].includes(q)).length), 0)
+      return { rule: index, requested: rule.count, available: Math.max(0, matching[index].length - taken) }
+    })
+    .filter((shortage) => shortage.available < shortage.requested)
+}
+
+/**
+ * Validate scoring settings on a test or question
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateScoring({ points, penalty, partialCredit, scoring }) {
+  if (points !== undefined && !(Number(points) > 0)) {
+    return "Ball musbat son bo'lishi kerak"
+  }
+  if (penalty !== undefined && !(Number(penalty) >= 0)) {
+    return "Jarima manfiy bo'lmagan son bo'lishi kerak"
+  }
+  if (partialCredit !== undefined && !PARTIAL_CREDIT_MODES.includes(partialCredit)) {
+    return `Qisman ball rejimi quyidagilardan biri bo'lishi kerak: ${PARTIAL_CREDIT_MODES.join(", ")}`
+  }
+  if (scoring !== undefined && scoring !== null && !SCORING_OVERRIDES.includes(scoring)) {
+    return `Baholash rejimi quyidagilardan biri bo'lishi kerak: ${SCORING_OVERRIDES.join(", ")}`
+  }
+  return null
+}
+
+/**
+ * Validate a question before it is stored in the bank
+ * @param {Object} data - Question fields sent by the client
+ * @returns {string|null} Error message, or null when the question is valid
+ */
+function validateBankQuestion(data) {
+  if (!data || !data.text || !data.text.toString().trim()) {
+    return "Savol matni kiritilishi shart"
+  }
+
+  if (data.type && !QUESTION_TYPES.includes(data.type)) {
+    return `Noma'lum savol turi: ${data.type}`
+  }
+
+  if (data.difficulty && !DIFFICULTIES.includes(data.difficulty)) {
+    return `Qiyinlik darajasi quyidagilardan biri bo'lishi kerak: ${DIFFICULTIES.join(", ")}`
+  }
+
+  const scoringError = validateScoring(data)
+  if (scoringError) {
+    return scoringError
+  }
+
+  const type = data.type || "multiple-choice"
+  if (type === "numeric") {
+    if (data.correctAnswer === undefined || data.correctAnswer === "" || Number.isNaN(Number(data.correctAnswer))) {
+      return "Sonli savol uchun to'g'ri javob son bo'lishi kerak"
+    }
+  } else if (type !== "text") {
+    if (!Array.isArray(data.options) || data.options.length < 2) {
+      return "Savolda kamida ikkita variant bo'lishi kerak"
+    }
+    if (!data.options.some((o) => o.correct)) {
+      return "Savolda kamida bitta to'g'ri variant bo'lishi kerak"
+    }
+  } else {
+    const patterns = data.answerPatterns || []
+    if (!data.correctAnswer && !(data.acceptedAnswers && data.acceptedAnswers.length > 0) && patterns.length === 0) {
+      return "Matnli savol uchun to'g'ri javob kiritilishi shart"
+    }
+    const invalid = patterns.find((p) => !compilePattern(p))
+    if (invalid !== undefined) {
+      return `Noto'g'ri andoza (regex): ${invalid}`
+    }
+  }
+
+  return null
+}
+
+/**
+ * Parse tags sent either as an array or as a comma separated string
+ * @param {Array|string} tags
+ * @returns {Array} Trimmed, non-empty tags
+ */
+function parseTags(tags) {
+  const list = Array.isArray(tags) ? tags : (tags || "").toString().split(",")
+  return list.map((tag) => tag.toString().trim()).filter(Boolean)
+}
+
+module.exports = {
+  DIFFICULTIES,
+  QUESTION_TYPES,
+  matchesRule,
+  orderBlueprint,
+  blueprintShortages,
+  validateBankQuestion,
+  validateScoring,
+  parseTags,
+}
@@ -0,0 +1,50 @@
+const crypto = require("crypto")
+
+/**
+ * Generate a new 32-bit seed for a random sequence
+ * @returns {number} Unsigned 32-bit integer
+ */
+function generateSeed() {
+  return crypto.randomInt(0, 2 ** 32)
+}
+
+/**
+ * Create a deterministic random number generator (mulberry32)
+ * The same seed always yields the same sequence, so shuffles can be rebuilt later
+ * @param {number} seed - Unsigned 32-bit integer
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+function createRng(seed) {
+  let state = seed >>> 0
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Unbiased Fisher-Yates shuffle returning a new array
+ * @param {Array} items - Items to shuffle
+ * @param {Function} rng - Random generator returning floats in [0, 1)
+ * @returns {Array} Shuffled copy of items
+ */
+function shuffle(items, rng = Math.random) {
+  const result = [...items]
+
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1))
+    ;[result[i], result[j]] = [result[j], result[i]]
+  }
+
+  return result
+}
+
+module.exports = {
+  generateSeed,
+  createRng,
+  shuffle,
+}
@@ -0,0 +1,224 @@
+const { getStore } = require("./storage")
+const { gradeAnswers } = require("./grader")
+const { buildPaper } = require("./paper")
+const { ensureVersion, testAtVersion } = require("./testVersions")
+const { notifyUser } = require("./notifications")
+const { resultReviewUrl } = require("./attempts")
+
+// Regrading stored results after an answer key correction
+//  - rekey: grade again with the test's current key (fix the key with PUT /api/tests/:id first)
+//  - accept-all: a question earns full credit for everyone who got it
+//  - drop: a question no longer counts towards the score
+const REGRADE_ACTIONS = ["rekey", "accept-all", "drop"]
+const SCORING_FOR_ACTION = { "accept-all": "accept-all", drop: "dropped" }
+
+/**
+ * The answer as the student submitted it, without fields added by grading
+ */
+const submittedAnswer = ({ questionId, optionId, selectedOptions, text }) => ({
+  questionId,
+  optionId,
+  selectedOptions,
+  text,
+})
+
+/**
+ * Mark a question of the test as accepted for everyone or dropped; the change is stored as a new version
+ * @returns {Object} The updated test
+ */
+function applyScoringOverride(test, questionId, action, userId) {
+  let updated = null
+
+  getStore().update("tests", (tests) =>
+    tests.map((t) => {
+      if (t.id !== test.id) return t
+      updated = {
+        ...t,
+        questions: t.questions.map((q) => (q.id === questionId ? { ...q, scoring: SCORING_FOR_ACTION[action] } : q)),
+        updatedAt: new Date().toISOString(),
+      }
+      return updated
+    }),
+  )
+
+  ensureVersion(updated, userId)
+  return getStore().find("tests", { id: test.id })[0]
+}
+
+/**
+ * A corrected question with its options in the order the student saw them (matched by id);
+ * options added by the correction come last
+ */
+function inShownOrder(corrected, shown) {
+  if (!Array.isArray(corrected.options) || !Array.isArray(shown.options)) return corrected
+
+  const position = (option) => {
+    const index = shown.options.findIndex((o) => o.id === option.id)
+    return index === -1 ? shown.options.length : index
+  }
+  return { ...corrected, options: [...corrected.options].sort((a, b) => position(a) - position(b)) }
+}
+
+/**
+ * The paper of a result with its corrected questions replaced by their corrected definition
+ * Each result keeps its own paper (the version and seed it was taken with).
+ * @param {Object} result - Stored result
+ * @param {Object} test - Stored test
+ * @param {Object} current - Test holding the corrected definitions
+ * @param {Array} questionIds - Questions corrected now, on top of the result's earlier corrections
+ * @returns {Object} { paper, correctedIds }
+ */
+function correctedPaper(result, test, current, questionIds = []) {
+  const paper = buildPaper(testAtVersion(test, result.versionId), result.seed)
+  const correctedIds = new Set([...(result.correctedQuestionIds || []), ...questionIds])
+
+  return {
+    paper: paper.map((q) => {
+      const corrected = correctedIds.has(q.id) && current.questions.find((c) => c.id === q.id)
+      return corrected ? inShownOrder(corrected, q) : q
+    }),
+    correctedIds: [...correctedIds],
+  }
+}
+
+/**
+ * The questions of a result as it was last graded, for reviewing it
+ * Regraded questions show the definition they were regraded with, not the key the student was
+ * first graded against.
+ * @param {Object} result - Stored result
+ * @param {Object} test - Stored test
+ * @returns {Array} Questions in the order the student saw them
+ */
+function resultPaper(result, test) {
+  // Results regraded before the version was recorded fall back to the test as it is now
+  return correctedPaper(result, test, testAtVersion(test, result.regradedVersionId)).paper
+}
+
+/**
+ * Grade one result again with the corrected questions
+ * Only corrected questions, from this and earlier regrades, are replaced by their current definition.
+ * @returns {Object|null} { graded, correctedIds }, or null when the result does not contain the question
+ */
+function regradeResult(result, test, current, questionId) {
+  const pinned = testAtVersion(test, result.versionId)
+  const original = buildPaper(pinned, result.seed)
+
+  if (questionId && !original.some((q) => q.id === questionId)) return null
+
+  const { paper, correctedIds } = correctedPaper(
+    result,
+    test,
+    current,
+    questionId ? [questionId] : original.map((q) => q.id),
+  )
+
+  // Correcting the whole test also takes its current penalty and partial credit settings
+  const wholeTest = !questionId || (result.regrades || []).some((r) => !r.questionId)
+  const settings = wholeTest ? { penalty: current.penalty, partialCredit: current.partialCredit } : {}
+  const answers = (result.answers || []).filter((a) => !a.autoCredited).map(submittedAnswer)
+
+  return {
+    graded: gradeAnswers({ ...pinned, ...settings, questions: paper }, answers),
+    correctedIds,
+  }
+}
+
+/**
+ * Regrade every stored result of a test
+ * @param {Object} test - Stored test; its current content holds the corrected key
+ * @param {Object} options
+ * @param {string} options.questionId - Only regrade this question (required for accept-all and drop)
+ * @param {string} options.action - One of REGRADE_ACTIONS
+ * @param {boolean} options.notify - Tell students whose score changed through the bot
+ * @param {boolean} options.dryRun - Report the new scores without storing anything
+ * @param {string} options.userId - Who ran the regrade
+ * @param {string} options.reason - Why, kept with each regrade record
+ * @returns {Object} { regraded, changed, notified, results: [{ resultId, userId, oldScore, newScore }] }
+ */
+function regradeTest(
+  test,
+  { questionId = null, action = "rekey", notify = false, dryRun = false, userId = null, reason = null } = {},
+) {
+  const store = getStore()
+  let current = test
+
+  if (SCORING_FOR_ACTION[action]) {
+    const scoring = SCORING_FOR_ACTION[action]
+    current = dryRun
+      ? { ...test, questions: test.questions.map((q) => (q.id === questionId ? { ...q, scoring } : q)) }
+      : applyScoringOverride(test, questionId, action, userId)
+  }
+
+  // The version holding the corrected key, so reviews keep showing it after later edits
+  const regradedVersion = dryRun ? null : ensureVersion(current, userId)
+  const now = new Date().toISOString()
+  const changes = new Map()
+  const report = []
+
+  store.find("results", { testId: test.id }).forEach((result) => {
+    const regraded = regradeResult(result, test, current, questionId)
+    if (!regraded) return
+
+    const { graded, correctedIds } = regraded
+
+    report.push({ resultId: result.id, userId: result.userId, oldScore: result.score, newScore: graded.score })
+
+    changes.set(result.id, {
+      answers: graded.answers,
+      score: graded.score,
+      correctCount: graded.correctCount,
+      totalQuestions: graded.totalQuestions,
+      earnedPoints: graded.earnedPoints,
+      maxPoints: graded.maxPoints,
+      originalScore: result.originalScore ?? result.score,
+      correctedQuestionIds: correctedIds,
+      regradedVersionId: regradedVersion && regradedVersion.id,
+      regradedAt: now,
+      regrades: [
+        ...(result.regrades || []),
+        {
+          at: now,
+          by: userId,
+          action,
+          questionId,
+          reason,
+          oldScore: result.score,
+          newScore: graded.score,
+          oldEarnedPoints: result.earnedPoints,
+          newEarnedPoints: graded.earnedPoints,
+          oldMaxPoints: result.maxPoints,
+          newMaxPoints: graded.maxPoints,
+        },
+      ],
+    })
+  })
+
+  const changed = report.filter((r) => r.oldScore !== r.newScore)
+  let notified = 0
+
+  if (!dryRun && changes.size > 0) {
+    store.update("results", (results) => results.map((r) => (changes.has(r.id) ? { ...r, ...changes.get(r.id) } : r)))
+
+    if (notify) {
+      const users = store.read("users")
+      changed.forEach((r) => {
+        const message = [
+          `"${test.title}" testi natijangiz qayta hisoblandi.`,
+          `Avval: ${r.oldScore.toFixed(2)}%`,
+          `Hozir: ${r.newScore.toFixed(2)}%`,
+          "",
+          `Natijani ko'rish: ${resultReviewUrl(r.resultId)}`,
+        ].join("\n")
+        if (notifyUser(users.find((u) => u.id === r.userId), "result", message)) notified++
+      })
+    }
+  }
+
+  return { regraded: report.length, changed: changed.length, notified, dryRun, results: report }
+}
+
+module.exports = {
+  REGRADE_ACTIONS,
+  resultPaper,
+  regradeTest,
+}
@@ -0,0 +1,128 @@
+const { getStore } = require("./storage")
+
+// Result listings and statistics shared by the API routes and the admin bot commands
+
+/**
+ * Result shape used in result lists (no answers)
+ * @param {Object} result - Stored result
+ * @param {Object} context - { test, user }; the student is included only when `user` is given
+ */
+function summarizeResult(result, { test, user } = {}) {
+  return {
+    id: result.id,
+    testId: result.testId,
+    testTitle: test ? test.title : "Unknown Test",
+    ...(user !== undefined ? { userId: result.userId, userName: user ? user.name : "Unknown User" } : {}),
+    score: result.score,
+    correctCount: result.correctCount,
+    totalQuestions: result.totalQuestions,
+    earnedPoints: result.earnedPoints,
+    maxPoints: result.maxPoints,
+    startedAt: result.startedAt,
+    finishedAt: result.finishedAt,
+    timeSpent: result.timeSpent,
+    submittedAt: result.submittedAt,
+    // Set when the result was regraded after an answer key correction (see lib/regrade)
+    originalScore: result.regradedAt ? result.originalScore : null,
+    regradedAt: result.regradedAt || null,
+  }
+}
+
+/**
+ * The score that counts for a student who took a test one or more times
+ * @param {Array} results - The student's results on the test
+ * @param {string} policy - Retake policy: "best", "latest" or "average"
+ * @returns {number|null} Score in percent, or null without results
+ */
+function finalScore(results, policy = "best") {
+  if (results.length === 0) return null
+
+  if (policy === "latest") {
+    return [...results].sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt))[0].score
+  }
+
+  if (policy === "average") {
+    return results.reduce((sum, r) => sum + r.score, 0) / results.length
+  }
+
+  return Math.max(...results.map((r) => r.score))
+}
+
+/**
+ * Score that counts for every student who took a test, following the test's retake policy
+ * @param {Object} test - Stored test
+ * @returns {Array} [{ userId, userName, attempts, score, bestScore, latestScore }]
+ */
+function testScores(test) {
+  const store = getStore()
+  const users = store.read("users")
+  const byUser = new Map()
+
+  store
+    .find("results", { testId: test.id })
+    // Anonymized results no longer belong to a student
+    .filter((result) => result.userId)
+    .forEach((result) => {
+      byUser.set(result.userId, [...(byUser.get(result.userId) || []), result])
+    })
+
+  return [...byUser.entries()].map(([userId, results]) => {
+    const user = users.find((u) => u.id === userId)
+    return {
+      userId,
+      userName: user ? user.name : "Unknown User",
+      attempts: results.length,
+      score: finalScore(results, test.retakePolicy || "best"),
+      bestScore: finalScore(results, "best"),
+      latestScore: finalScore(results, "latest"),
+    }
+  })
+}
+
+/**
+ * Latest results of a test, newest first, with student names
+ * @param {string} testId - Test id
+ * @param {number} limit - Maximum number of results
+ */
+function recentResults(testId, limit = 10) {
+  const store = getStore()
+  const test = store.find("tests", { id: testId })[0]
+  const users = store.read("users")
+
+  return store
+    .find("results", { testId })
+    .sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt))
+    .slice(0, limit)
+    .map((result) => summarizeResult(result, { test, user: users.find((u) => u.id === result.userId) || null }))
+}
+
+/**
+ * Platform-wide counts for the admin overview
+ */
+function platformStats() {
+  const store = getStore()
+  const users = store.read("users")
+  const tests = store.read("tests")
+  const results = store.read("results")
+  const since = Date.now() - 7 * 24 * 60 * 60 * 1000
+
+  return {
+    users: users.length,
+    students: users.filter((u) => u.role === "student").length,
+    linkedTelegram: store.read("telegramLinks").length,
+    tests: tests.filter((t) => !t.archived).length,
+    publishedTests: tests.filter((t) => t.published && !t.archived).length,
+    results: results.length,
+    resultsLastWeek: results.filter((r) => new Date(r.submittedAt).getTime() >= since).length,
+    averageScore: results.length > 0 ? results.reduce((sum, r) => sum + r.score, 0) / results.length : 0,
+    attemptsInProgress: store.read("attempts").filter((a) => a.status === "in-progress").length,
+  }
+}
+
+module.exports = {
+  summarizeResult,
+  finalScore,
+  testScores,
+  recentResults,
+  platformStats,
+}
@@ -0,0 +1,182 @@
+const { v4: uuidv4 } = require("uuid")
+const { getStore } = require("./storage")
+
+// Abuse protection for the auth endpoints: rate limits, login lockout and a security event log
+const SECURITY_EVENTS = "securityEvents"
+const MAX_STORED_EVENTS = 5000
+
+const MAX_FAILED_LOGINS = Number(process.env.MAX_FAILED_LOGINS) || 5
+const LOGIN_LOCKOUT_MS = (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000
+// Wrong codes allowed per verification before it expires
+const MAX_VERIFICATION_GUESSES = 5
+
+/**
+ * Record a security event (failed login, lockout, rate limit hit, ...)
+ * @param {string} type - Event type, e.g. "login-failed"
+ * @param {Object} details - { req, userId, username, ...extra }
+ */
+function logSecurityEvent(type, { req, userId = null, username = null, ...extra } = {}) {
+  const event = {
+    id: uuidv4(),
+    type,
+    userId,
+    username,
+    ip: req ? req.ip : null,
+    path: req ? req.path : null,
+    userAgent: req ? req.headers["user-agent"] || null : null,
+    details: Object.keys(extra).length > 0 ? extra : null,
+    createdAt: new Date().toISOString(),
+  }
+
+  // Keep the log bounded; the oldest events go first
+  getStore().update(SECURITY_EVENTS, (events) => [...events, event].slice(-MAX_STORED_EVENTS))
+  return event
+}
+
+/**
+ * Security events, newest first
+ * @param {Object} filter - { type, userId, ip, since, limit }
+ */
+function listSecurityEvents({ type, userId, ip, since, limit = 100 } = {}) {
+  const sinceTime = since ? new Date(since).getTime() : 0
+
+  return getStore()
+    .read(SECURITY_EVENTS)
+    .filter(
+      (e) =>
+        (!type || e.type === type) &&
+        (!userId || e.userId === userId) &&
+        (!ip || e.ip === ip) &&
+        new Date(e.createdAt).getTime() >= sinceTime,
+    )
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .slice(0, limit)
+}
+
+// In-memory counters for every rate limit: key -> { count, resetAt }
+const buckets = new Map()
+
+/**
+ * Count a request against a limit
+ * @returns {Object} { allowed, retryAfter, crossed } with retryAfter in seconds; crossed is set only
+ * on the first rejected request of the window
+ */
+function hit(key, { windowMs, max }) {
+  const now = Date.now()
+  let bucket = buckets.get(key)
+
+  if (!bucket || bucket.resetAt <= now) {
+    bucket = { count: 0, resetAt: now + windowMs }
+    buckets.set(key, bucket)
+  }
+
+  bucket.count++
+  return {
+    allowed: bucket.count <= max,
+    retryAfter: Math.ceil((bucket.resetAt - now) / 1000),
+    crossed: bucket.count === max + 1,
+  }
+}
+
+// Drop finished windows so the counters do not grow forever
+setInterval(() => {
+  const now = Date.now()
+  buckets.forEach((bucket, key) => {
+    if (bucket.resetAt <= now) buckets.delete(key)
+  })
+}, 60 * 1000).unref()
+
+/**
+ * Express middleware limiting requests per IP and, optionally, per account
+ * @param {Object} options
+ * @param {string} options.name - Limit name, used in keys and security events
+ * @param {number} options.windowMs - Window length
+ * @param {number} options.max - Requests allowed per IP in a window
+ * @param {Function} options.accountKey - Returns the account a request targets (username, phone, ...)
+ * @param {number} options.accountMax - Requests allowed per account in a window
+ */
+function rateLimit({ name, windowMs, max, accountKey, accountMax }) {
+  return (req, res, next) => {
+    const checks = [{ key: `${name}:ip:${req.ip}`, max }]
+
+    const account = accountKey && accountKey(req)
+    if (account) {
+      checks.push({ key: `${name}:account:${account.toString().toLowerCase()}`, max: accountMax || max })
+    }
+
+    const hits = checks.map((check) => hit(check.key, { windowMs, max: check.max }))
+    const blocked = hits.find((r) => !r.allowed)
+
+    if (blocked) {
+      // One event per limit and window: logging every rejected request of a flood would
+      // rewrite the event log once per request
+      if (hits.some((r) => r.crossed)) {
+        logSecurityEvent("rate-limited", { req, limit: name, account: account || null })
+      }
+      res.set("Retry-After", blocked.retryAfter.toString())
+      return res
+        .status(429)
+        .json({ error: "Juda ko'p urinish. Birozdan keyin qayta urinib ko'ring", retryAfter: blocked.retryAfter })
+    }
+
+    next()
+  }
+}
+
+/**
+ * Seconds until a locked account can log in again, or 0 when it is not locked
+ */
+function lockoutRemaining(user) {
+  if (!user.lockedUntil) return 0
+  return Math.max(0, Math.ceil((new Date(user.lockedUntil) - Date.now()) / 1000))
+}
+
+/**
+ * Count a failed login; the account is locked for a while after MAX_FAILED_LOGINS in a row
+ * @returns {Object} The updated user
+ */
+function recordFailedLogin(user, req) {
+  let updated = user
+
+  getStore().update("users", (users) =>
+    users.map((u) => {
+      if (u.id !== user.id) return u
+      const failedLogins = (u.failedLogins || 0) + 1
+      const locked = failedLogins >= MAX_FAILED_LOGINS
+      updated = {
+        ...u,
+        failedLogins: locked ? 0 : failedLogins,
+        lockedUntil: locked ? new Date(Date.now() + LOGIN_LOCKOUT_MS).toISOString() : u.lockedUntil || null,
+      }
+      return updated
+    }),
+  )
+
+  logSecurityEvent("login-failed", { req, userId: user.id, username: user.username })
+  if (lockoutRemaining(updated) > 0) {
+    logSecurityEvent("account-locked", { req, userId: user.id, username: user.username, until: updated.lockedUntil })
+  }
+
+  return updated
+}
+
+/**
+ * Reset the failed login counter after a successful login
+ */
+function recordSuccessfulLogin(user) {
+  if (!user.failedLogins && !user.lockedUntil) return
+
+  getStore().update("users", (users) =>
+    users.map((u) => (u.id === user.id ? { ...u, failedLogins: 0, lockedUntil: null } : u)),
+  )
+}
+
+module.exports = {
+  MAX_VERIFICATION_GUESSES,
+  logSecurityEvent,
+  listSecurityEvents,
+  rateLimit,
+  lockoutRemaining,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+}
@@ -0,0 +1,48 @@
+const path = require("path")
+const { createJsonStore } = require("./jsonStore")
+const { createSqliteStore } = require("./sqliteStore")
+
+const DEFAULT_DATA_DIR = path.join(__dirname, "..", "..", "data")
+
+/**
+ * Create a store for the given driver
+ * Every driver exposes the same synchronous API over named collections ("users", "tests", ...):
+ *  - read(collection) -> Array of records
+ *  - write(collection, items) -> replaces the collection atomically
+ *  - find(collection, { field: value }) -> records whose fields equal the given values
+ *  - insert(collection, record) -> appends one record
+ *  - update(collection, fn) -> atomic read-modify-write; fn mutates the items or returns a new array
+ *  - collections(), close()
+ *
+ * @param {Object} options - { driver: "json" | "sqlite", dataDir, filename }
+ */
+function createStore({ driver = "json", dataDir = DEFAULT_DATA_DIR, filename } = {}) {
+  if (driver === "sqlite") {
+    return createSqliteStore({ filename: filename || path.join(dataDir, "platform.db") })
+  }
+  if (driver !== "json") {
+    throw new Error(`Unknown storage driver: ${driver}`)
+  }
+  return createJsonStore({ dataDir })
+}
+
+let sharedStore = null
+
+/**
+ * Store shared by the API server and the Telegram bot
+ * Configured with STORAGE_DRIVER (json by default, or sqlite) and SQLITE_PATH.
+ */
+function getStore() {
+  if (!sharedStore) {
+    sharedStore = createStore({
+      driver: process.env.STORAGE_DRIVER || "json",
+      filename: process.env.SQLITE_PATH,
+    })
+  }
+  return sharedStore
+}
+
+module.exports = {
+  createStore,
+  getStore,
+}
@@ -0,0 +1,87 @@
+const fs = require("fs")
+const path = require("path")
+
+/**
+ * JSON file driver: every collection is stored as an array in `<dataDir>/<collection>.json`
+ *
+ * Files are replaced atomically (write to a temporary file, then rename), so a crash or a
+ * concurrent reader never sees a half-written file. Read-modify-write cycles in `update`
+ * run synchronously, so two requests in this process can't interleave and lose each other's changes.
+ *
+ * @param {Object} options - { dataDir }
+ * @returns {Object} Store
+ */
+function createJsonStore({ dataDir }) {
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true })
+  }
+
+  const fileFor = (collection) => path.join(dataDir, `${collection}.json`)
+
+  const read = (collection) => {
+    const file = fileFor(collection)
+    try {
+      if (!fs.existsSync(file)) {
+        write(collection, [])
+        return []
+      }
+      return JSON.parse(fs.readFileSync(file, "utf8"))
+    } catch (err) {
+      console.error(`Error reading ${collection}:`, err)
+      return []
+    }
+  }
+
+  const write = (collection, items) => {
+    const file = fileFor(collection)
+    const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`
+    try {
+      fs.writeFileSync(tempFile, JSON.stringify(items, null, 2))
+      fs.renameSync(tempFile, file)
+      return true
+    } catch (err) {
+      console.error(`Error writing ${collection}:`, err)
+      if (fs.existsSync(tempFile)) fs.unlinkSync(tempFile)
+      return false
+    }
+  }
+
+  return {
+    driver: "json",
+
+    read,
+
+    write,
+
+    find(collection, filter) {
+      return read(collection).filter((item) => Object.keys(filter).every((key) => item[key] === filter[key]))
+    },
+
+    insert(collection, record) {
+      const items = read(collection)
+      items.push(record)
+      return write(collection, items)
+    },
+
+    update(collection, fn) {
+      const items = read(collection)
+      const updated = fn(items)
+      write(collection, Array.isArray(updated) ? updated : items)
+      return updated
+    },
+
+    // Collections that exist on disk
+    collections() {
+      return fs
+        .readdirSync(dataDir)
+        .filter((file) => file.endsWith(".json"))
+        .map((file) => file.replace(/\.json$/, ""))
+    },
+
+    close() {},
+  }
+}
+
+module.exports = {
+  createJsonStore,
+}
@@ -0,0 +1,47 @@
+// One-shot migration of the data/*.json files into the SQLite store
+// Usage: node lib/storage/migrate.js [--force]
+const path = require("path")
+const { createStore } = require("./index")
+
+require("dotenv").config()
+
+/**
+ * Copy every collection of one store into another
+ * Collections that already hold records in the target are skipped unless `force` is set.
+ * @returns {Array} Per-collection report { collection, count, skipped }
+ */
+function migrate(source, target, { force = false } = {}) {
+  return source.collections().map((collection) => {
+    const items = source.read(collection)
+
+    if (!force && target.read(collection).length > 0) {
+      return { collection, count: 0, skipped: true }
+    }
+
+    target.write(collection, items)
+    return { collection, count: items.length, skipped: false }
+  })
+}
+
+if (require.main === module) {
+  const force = process.argv.includes("--force")
+  const dataDir = path.join(__dirname, "..", "..", "data")
+  const source = createStore({ driver: "json", dataDir })
+  const target = createStore({ driver: "sqlite", dataDir, filename: process.env.SQLITE_PATH })
+
+  try {
+    migrate(source, target, { force }).forEach(({ collection, count, skipped }) => {
+      console.log(
+        skipped
+          ? `${collection}: skipped, already has records (use --force to overwrite)`
+          : `${collection}: ${count} record(s) imported`,
+      )
+    })
+  } finally {
+    target.close()
+  }
+}
+
+module.exports = {
+  migrate,
+}
@@ -0,0 +1,117 @@
+const fs = require("fs")
+const path = require("path")
+
+const FIELD_NAME = /^[A-Za-z0-9_]+$/
+
+/**
+ * SQLite driver: every record is a JSON document in a single `records` table
+ *
+ * Needs the optional `better-sqlite3` dependency. Whole-collection writes and `update`
+ * cycles run in a transaction; `insert` and `find` only touch the rows involved.
+ *
+ * @param {Object} options - { filename }
+ * @returns {Object} Store
+ */
+function createSqliteStore({ filename }) {
+  let Database
+  try {
+    Database = require("better-sqlite3")
+  } catch (err) {
+    throw new Error("STORAGE_DRIVER=sqlite needs the better-sqlite3 package (npm install better-sqlite3)")
+  }
+
+  fs.mkdirSync(path.dirname(filename), { recursive: true })
+
+  const db = new Database(filename)
+  db.pragma("journal_mode = WAL")
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS records (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      collection TEXT NOT NULL,
+      id TEXT,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS records_collection ON records (collection, seq);
+    CREATE INDEX IF NOT EXISTS records_collection_id ON records (collection, id);
+  `)
+
+  const selectAll = db.prepare("SELECT data FROM records WHERE collection = ? ORDER BY seq")
+  const insertRow = db.prepare("INSERT INTO records (collection, id, data) VALUES (?, ?, ?)")
+  const deleteAll = db.prepare("DELETE FROM records WHERE collection = ?")
+  const listCollections = db.prepare("SELECT DISTINCT collection FROM records")
+
+  const toRow = (collection, record) => [collection, record.id ? String(record.id) : null, JSON.stringify(record)]
+
+  const read = (collection) => selectAll.all(collection).map((row) => JSON.parse(row.data))
+
+  const replace = db.transaction((collection, items) => {
+    deleteAll.run(collection)
+    items.forEach((item) => insertRow.run(...toRow(collection, item)))
+  })
+
+  const write = (collection, items) => {
+    try {
+      replace(collection, items)
+      return true
+    } catch (err) {
+      console.error(`Error writing ${collection}:`, err)
+      return false
+    }
+  }
+
+  const update = db.transaction((collection, fn) => {
+    const items = read(collection)
+    const updated = fn(items)
+    replace(collection, Array.isArray(updated) ? updated : items)
+    return updated
+  })
+
+  return {
+    driver: "sqlite",
+
+    read,
+
+    write,
+
+    find(collection, filter) {
+      const keys = Object.keys(filter)
+      if (keys.some((key) => !FIELD_NAME.test(key))) {
+        throw new Error(`Invalid field name in filter: ${keys.join(", ")}`)
+      }
+
+      // Booleans are stored as JSON true/false, which json_extract returns as 1/0
+      const conditions = keys.map((key) => `json_extract(data, '$.${key}') IS ?`)
+      const values = keys.map((key) => (typeof filter[key] === "boolean" ? Number(filter[key]) : filter[key]))
+      const sql = `SELECT data FROM records WHERE collection = ?${conditions.map((c) => ` AND ${c}`).join("")} ORDER BY seq`
+
+      return db
+        .prepare(sql)
+        .all(collection, ...values)
+        .map((row) => JSON.parse(row.data))
+    },
+
+    insert(collection, record) {
+      try {
+        insertRow.run(...toRow(collection, record))
+        return true
+      } catch (err) {
+        console.error(`Error writing ${collection}:`, err)
+        return false
+      }
+    },
+
+    update,
+
+    collections() {
+      return listCollections.all().map((row) => row.collection)
+    },
+
+    close() {
+      db.close()
+    },
+  }
+}
+
+module.exports = {
+  createSqliteStore,
+}
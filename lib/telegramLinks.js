@@ -0,0 +1,221 @@
+const crypto = require("crypto")
+const { v4: uuidv4 } = require("uuid")
+const { getStore } = require("./storage")
+const { MAX_VERIFICATION_GUESSES, logSecurityEvent } = require("./security")
+
+// Links between platform users and their Telegram accounts, kept apart from login accounts
+const LINKS = "telegramLinks"
+const LINK_CODES = "telegramLinkCodes"
+const LINK_CODE_TTL_MS = 15 * 60 * 1000 // 15 minutes
+// Wrong /link codes per Telegram account; after MAX_VERIFICATION_GUESSES the account is blocked
+// from linking for LINK_CODE_TTL_MS, so codes cannot be guessed while they are valid
+const LINK_CODE_GUESSES = "telegramLinkCodeGuesses"
+
+const cleanUsername = (username) => (username || "").replace(/^@/, "").toLowerCase()
+
+/**
+ * Find the link for a Telegram account, by Telegram user id first, then by chat id
+ * @param {Object} telegram - { telegramUserId, chatId }
+ * @returns {Object|null} Link record
+ */
+function findLinkByTelegram({ telegramUserId, chatId }) {
+  const links = getStore().read(LINKS)
+  return (
+    (telegramUserId && links.find((l) => l.telegramUserId === telegramUserId)) ||
+    (chatId && links.find((l) => l.chatId === chatId)) ||
+    null
+  )
+}
+
+/**
+ * Find the Telegram link of a platform user
+ * @param {string} userId - Platform user id
+ * @returns {Object|null} Link record
+ */
+function findLinkByUserId(userId) {
+  return getStore().find(LINKS, { userId })[0] || null
+}
+
+/**
+ * Resolve the platform user behind a Telegram account
+ * @param {Object} telegram - { telegramUserId, chatId }
+ * @returns {Object|null} Platform user record; null for blocked users, like the web login
+ */
+function findLinkedUser(telegram) {
+  const link = findLinkByTelegram(telegram)
+  if (!link) return null
+  const user = getStore().find("users", { id: link.userId })[0]
+  return user && !user.blocked ? user : null
+}
+
+/**
+ * Link a platform user to a Telegram account
+ * A user has at most one Telegram account and an account belongs to at most one user,
+ * so any previous link on either side is replaced.
+ * @param {string} userId - Platform user id
+ * @param {Object} telegram - { chatId, telegramUserId, telegramUsername }
+ * @returns {Object} The new link record
+ */
+function linkTelegram(userId, { chatId, telegramUserId, telegramUsername }) {
+  const link = {
+    id: uuidv4(),
+    userId,
+    chatId,
+    telegramUserId: telegramUserId || null,
+    telegramUsername: telegramUsername ? telegramUsername.replace(/^@/, "") : null,
+    linkedAt: new Date().toISOString(),
+  }
+
+  getStore().update(LINKS, (links) => [
+    ...links.filter(
+      (l) =>
+        l.userId !== userId &&
+        l.chatId !== chatId &&
+        !(telegramUserId && l.telegramUserId === telegramUserId),
+    ),
+    link,
+  ])
+
+  return link
+}
+
+/**
+ * Remove the Telegram link of a platform user
+ * @returns {boolean} Whether a link existed
+ */
+function unlinkTelegram(userId) {
+  let removed = false
+  getStore().update(LINKS, (links) => {
+    const remaining = links.filter((l) => l.userId !== userId)
+    removed = remaining.length !== links.length
+    return remaining
+  })
+  return removed
+}
+
+/**
+ * Create a one-time code a logged-in user sends to the bot (/link <code>) to link their account
+ * @param {string} userId - Platform user id
+ * @returns {Object} { code, expiresAt }
+ */
+function createLinkCode(userId) {
+  const record = {
+    code: crypto.randomInt(100000, 1000000).toString(),
+    userId,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + LINK_CODE_TTL_MS).toISOString(),
+  }
+
+  getStore().update(LINK_CODES, (codes) => [
+    // Drop expired codes and any earlier code of this user
+    ...codes.filter((c) => c.userId !== userId && new Date(c.expiresAt) > new Date()),
+    record,
+  ])
+
+  return { code: record.code, expiresAt: record.expiresAt }
+}
+
+/**
+ * Record the outcome of a /link attempt for a Telegram account
+ * @returns {Object|null} The account's guess record, or null after a success
+ */
+function recordLinkCodeGuess(sender, success) {
+  const now = Date.now()
+  let record = null
+
+  getStore().update(LINK_CODE_GUESSES, (guesses) => {
+    // Forget accounts that are neither blocked nor recently guessing
+    const active = guesses.filter(
+      (g) => new Date(g.blockedUntil || 0).getTime() > now || new Date(g.updatedAt).getTime() + LINK_CODE_TTL_MS > now,
+    )
+    const current = active.find((g) => g.sender === sender)
+    const others = active.filter((g) => g !== current)
+
+    if (success) return others
+
+    const failures = ((current && current.failures) || 0) + 1
+    const blocked = failures >= MAX_VERIFICATION_GUESSES
+    record = {
+      sender,
+      failures: blocked ? 0 : failures,
+      blockedUntil: blocked ? new Date(now + LINK_CODE_TTL_MS).toISOString() : (current && current.blockedUntil) || null,
+      updatedAt: new Date(now).toISOString(),
+    }
+    return [...others, record]
+  })
+
+  return record
+}
+
+/**
+ * Use a link code sent to the bot and link the account it was issued for
+ * @param {string} code - Code sent by the user
+ * @param {Object} telegram - { chatId, telegramUserId, telegramUsername }
+ * @returns {Object} { link, blocked }; link is null when the code is unknown or expired,
+ * blocked is set while the Telegram account may not try again after too many wrong codes
+ */
+function consumeLinkCode(code, telegram) {
+  const sender = (telegram.telegramUserId || telegram.chatId || "").toString()
+  const guesses = getStore().find(LINK_CODE_GUESSES, { sender })[0]
+
+  if (guesses && guesses.blockedUntil && new Date(guesses.blockedUntil) > new Date()) {
+    return { link: null, blocked: true }
+  }
+
+  let match = null
+  getStore().update(LINK_CODES, (codes) => {
+    match = codes.find((c) => c.code === code && new Date(c.expiresAt) > new Date()) || null
+    return codes.filter((c) => c !== match)
+  })
+
+  if (match) {
+    recordLinkCodeGuess(sender, true)
+    return { link: linkTelegram(match.userId, telegram), blocked: false }
+  }
+
+  const record = recordLinkCodeGuess(sender, false)
+  const blocked = Boolean(record.blockedUntil) && new Date(record.blockedUntil) > new Date()
+  logSecurityEvent(blocked ? "link-code-blocked" : "link-code-failed", {
+    telegramUserId: telegram.telegramUserId || null,
+    chatId: telegram.chatId || null,
+    telegramUsername: telegram.telegramUsername || null,
+  })
+
+  return { link: null, blocked }
+}
+
+/**
+ * Move records the bot used to write into users.json ({ chatId, username, ... } without an id)
+ * out of the login accounts, linking them to the platform user with the same Telegram username
+ * @returns {number} Number of records moved
+ */
+function migrateLegacyBotUsers() {
+  const users = getStore().read("users")
+  const legacy = users.filter((u) => !u.id && u.chatId)
+
+  if (legacy.length === 0) return 0
+
+  legacy.forEach((record) => {
+    const owner = users.find(
+      (u) => u.id && u.telegram && cleanUsername(u.telegram) === cleanUsername(record.username),
+    )
+    if (owner && !findLinkByUserId(owner.id)) {
+      linkTelegram(owner.id, { chatId: record.chatId, telegramUsername: record.username })
+    }
+  })
+
+  getStore().write("users", users.filter((u) => !legacy.includes(u)))
+
+  return legacy.length
+}
+
+module.exports = {
+  findLinkByTelegram,
+  findLinkByUserId,
+  findLinkedUser,
+  linkTelegram,
+  unlinkTelegram,
+  createLinkCode,
+  consumeLinkCode,
+  migrateLegacyBotUsers,
+}
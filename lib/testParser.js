@@ -1,3 +1,6 @@
+const { shuffle } = require("./random")
+const { compilePattern } = require("./textMatching")
+
 /**
  * Parse test questions from a text file
  * Format:
@@ -13,80 +16,284 @@
  * + Correct answer
  * - Incorrect answer
  *
- * For questions with multiple correct answers:
+ * For questions with multiple correct answers (detected automatically, type "multiple-answer"):
  * # Question text
  * + Correct answer 1
  * - Incorrect answer
  * + Correct answer 2
  * - Incorrect answer
+ *
+ * For free-text answers, one line per accepted spelling or /regular expression/ (type "text"):
+ * # Question text
+ * = colour
+ * = color
+ * = /^colou?rs?$/i
+ *
+ * For numeric answers with an optional tolerance (type "numeric"):
+ * # Question text
+ * ~ 3.14 +- 0.01
+ *
+ * For true/false questions (a two-option "multiple-choice" question):
+ * # Question text
+ * ! true
+ *
+ * @param {string} fileContent - Raw file content
+ * @returns {Object} { questions, errors, warnings }; diagnostics are { line, message } and
+ *   questions with errors are left out of `questions`
  */
 function parseTestFile(fileContent) {
     const lines = fileContent.split("\n").map((line) => line.trim())
-    const questions = []
+    const entries = []
+    const diagnostics = createDiagnostics()
   
-    let currentQuestion = null
+    let current = null
   
     for (let i = 0; i < lines.length; i++) {
       const line = lines[i]
+      const lineNumber = i + 1
   
       // Skip empty lines
       if (!line) continue
   
       // New question
       if (line.startsWith("#")) {
-        // Save previous question if exists
-        if (currentQuestion) {
-          questions.push(currentQuestion)
+        // Create new question; the previous one stays in entries
+        current = {
+          line: lineNumber,
+          kinds: new Set(),
+          question: {
+            text: line.substring(1).trim(),
+            type: "multiple-choice",
+            options: [],
+            image: null,
+          },
         }
+        entries.push(current)
+        continue
+      }
   
-        // Create new question
-        currentQuestion = {
-          text: line.substring(1).trim(),
-          type: "multiple-choice",
-          options: [],
-          image: null,
-        }
+      const marker = line.charAt(0)
+  
+      if (!"@+-=~!".includes(marker)) {
+        diagnostics.warning(lineNumber, `Line ignored: it does not start with #, @, +, -, =, ~ or !`)
+        continue
+      }
+  
+      if (!current) {
+        diagnostics.error(lineNumber, `"${marker}" line found before the first question (#)`)
+        continue
       }
+  
+      const currentQuestion = current.question
+      const value = line.substring(1).trim()
+  
       // Image for question
-      else if (line.startsWith("@") && currentQuestion) {
-        currentQuestion.image = line.substring(1).trim()
+      if (marker === "@") {
+        if (currentQuestion.image) {
+          diagnostics.warning(lineNumber, "Question already has an image; the previous one is replaced")
+        }
+        currentQuestion.image = value
       }
       // Answer options
-      else if ((line.startsWith("+") || line.startsWith("-")) && currentQuestion) {
-        const isCorrect = line.startsWith("+")
-        const text = line.substring(1).trim()
-  
-        currentQuestion.options.push({
-          id: `option-${Date.now()}-${currentQuestion.options.length}`,
-          text: text,
-          correct: isCorrect,
-        })
+      else if (marker === "+" || marker === "-") {
+        current.kinds.add("options")
+        if (!value) {
+          diagnostics.warning(lineNumber, "Empty answer option")
+        }
+        currentQuestion.options.push(createOption(value, marker === "+", currentQuestion.options.length))
+      }
+      // Accepted text answer
+      else if (marker === "=") {
+        current.kinds.add("text")
+        currentQuestion.type = "text"
+        if (/^\/.+\/[a-z]*$/.test(value)) {
+          // "= /^colou?r$/i" is a regular expression pattern
+          if (!compilePattern(value)) {
+            diagnostics.error(lineNumber, `"${value}" is not a valid regular expression`)
+            current.broken = true
+          }
+          currentQuestion.answerPatterns = [...(currentQuestion.answerPatterns || []), value]
+        } else {
+          currentQuestion.acceptedAnswers = [...(currentQuestion.acceptedAnswers || []), value]
+        }
+      }
+      // Numeric answer with tolerance
+      else if (marker === "~") {
+        current.kinds.add("numeric")
+        const numeric = parseNumericAnswer(value)
+        if (!numeric) {
+          diagnostics.error(lineNumber, `"${value}" is not a number; expected e.g. "~ 3.14 +- 0.01"`)
+          current.broken = true
+        } else {
+          if (currentQuestion.type === "numeric") {
+            diagnostics.warning(lineNumber, "Question already has a numeric answer; the previous one is replaced")
+          }
+          currentQuestion.type = "numeric"
+          currentQuestion.correctAnswer = numeric.value
+          currentQuestion.tolerance = numeric.tolerance
+        }
+      }
+      // True/false answer
+      else if (marker === "!") {
+        current.kinds.add("true-false")
+        const answer = parseTrueFalse(value)
+        if (answer === null) {
+          diagnostics.error(lineNumber, `"${value}" is not true or false`)
+          current.broken = true
+        } else {
+          currentQuestion.trueFalse = answer
+        }
+      }
+    }
+  
+    // Keep only questions without errors so broken ones never reach grading
+    const questions = []
+    entries.forEach((entry) => {
+      const errorCount = diagnostics.errors.length
+      validateQuestion(entry, diagnostics)
+      if (!entry.broken && diagnostics.errors.length === errorCount) {
+        questions.push(finalizeQuestion(entry.question))
+      }
+    })
+  
+    const byLine = (a, b) => a.line - b.line
+  
+    return {
+      questions,
+      errors: diagnostics.errors.sort(byLine),
+      warnings: diagnostics.warnings.sort(byLine),
+    }
+  }
+
+  function createDiagnostics() {
+    const errors = []
+    const warnings = []
+    return {
+      errors,
+      warnings,
+      error: (line, message) => errors.push({ line, message }),
+      warning: (line, message) => warnings.push({ line, message }),
+    }
+  }
+
+  /**
+   * Report problems that make a parsed question unusable (errors) or suspicious (warnings)
+   */
+  function validateQuestion(entry, diagnostics) {
+    const { question, line, kinds } = entry
+  
+    if (!question.text) {
+      diagnostics.error(line, "Question text is empty")
+    }
+  
+    if (kinds.size > 1) {
+      diagnostics.error(line, `Question mixes answer kinds: ${[...kinds].join(", ")}`)
+      return
+    }
+  
+    if (kinds.has("text") && (question.acceptedAnswers || []).some((answer) => !answer)) {
+      diagnostics.error(line, "Question has an empty accepted answer (=)")
+    }
+  
+    if (kinds.size === 0) {
+      diagnostics.error(line, "Question has no answers")
+    } else if (kinds.has("options")) {
+      const correctCount = question.options.filter((o) => o.correct).length
+      if (correctCount === 0) {
+        diagnostics.error(line, "Question has no correct option (+)")
+      }
+      if (question.options.length === 1) {
+        diagnostics.warning(line, "Question has only one option")
+      }
+    }
+  }
+
+  function createOption(text, correct, index) {
+    return {
+      id: `option-${Date.now()}-${index}`,
+      text,
+      correct,
+    }
+  }
+
+  /**
+   * Parse "3.14", "3.14 +- 0.01" or "3.14 ± 0.01"
+   * @returns {Object|null} { value, tolerance } or null when the line is not a number
+   */
+  function parseNumericAnswer(text) {
+    const [valuePart, tolerancePart] = text.split(/\+-|±/).map((part) => part.trim().replace(",", "."))
+    const value = Number(valuePart)
+    const tolerance = tolerancePart ? Math.abs(Number(tolerancePart)) : 0
+  
+    if (!valuePart || Number.isNaN(value) || Number.isNaN(tolerance)) {
+      return null
+    }
+  
+    return { value, tolerance }
+  }
+
+  const TRUE_WORDS = ["true", "t", "yes", "ha", "to'g'ri", "togri"]
+  const FALSE_WORDS = ["false", "f", "no", "yo'q", "yoq", "noto'g'ri", "notogri"]
+
+  function parseTrueFalse(text) {
+    const word = text.trim().toLowerCase()
+    if (TRUE_WORDS.includes(word)) return true
+    if (FALSE_WORDS.includes(word)) return false
+    return null
+  }
+
+  /**
+   * Convert a parsed question into the shape the grader expects for its type
+   */
+  function finalizeQuestion(question) {
+    const { trueFalse, ...rest } = question
+  
+    if (rest.type === "text" || rest.type === "numeric") {
+      // Free-answer questions have no options; a text question keeps its first spelling as the main answer
+      const { options, ...freeAnswer } = rest
+      if (freeAnswer.type === "text") {
+        freeAnswer.acceptedAnswers = freeAnswer.acceptedAnswers || []
+        freeAnswer.correctAnswer = freeAnswer.acceptedAnswers[0] || null
+      }
+      return freeAnswer
+    }
+  
+    if (trueFalse !== undefined) {
+      return {
+        ...rest,
+        type: "multiple-choice",
+        options: [createOption("To'g'ri", trueFalse === true, 0), createOption("Noto'g'ri", trueFalse === false, 1)],
       }
     }
   
-    // Add the last question
-    if (currentQuestion) {
-      questions.push(currentQuestion)
+    // Several correct options make it a multiple-answer question
+    if (rest.options.filter((o) => o.correct).length > 1) {
+      return { ...rest, type: "multiple-answer" }
     }
   
-    return questions
+    return rest
   }
   
   /**
    * Select a random subset of questions from a larger pool
+   * @param {Array} questions - Question pool
+   * @param {number} count - Number of questions to draw
+   * @param {Function} rng - Random generator, pass a seeded one to make the draw reproducible
    */
-  function selectRandomQuestions(questions, count) {
+  function selectRandomQuestions(questions, count, rng = Math.random) {
     // If count is greater than available questions, return all questions
     if (count >= questions.length) {
       return [...questions]
     }
   
     // Shuffle and select the first 'count' questions
-    return [...questions].sort(() => Math.random() - 0.5).slice(0, count)
+    return shuffle(questions, rng).slice(0, count)
   }
   
   module.exports = {
     parseTestFile,
     selectRandomQuestions,
+    createOption,
+    createDiagnostics,
   }
   
\ No newline at end of file
@@ -0,0 +1,168 @@
+const { v4: uuidv4 } = require("uuid")
+const { getStore } = require("./storage")
+
+// Immutable snapshots of a test's content. Attempts and results are pinned to the version
+// they were taken against, so editing a published test never changes how old results read.
+const VERSIONS = "testVersions"
+
+// Fields that decide what students see and how answers are graded; availability settings
+// (groups, dates, attempt limits) and publication state are not versioned
+const VERSIONED_FIELDS = [
+  "title",
+  "description",
+  "duration",
+  "backgroundImage",
+  "questions",
+  "drawCount",
+  "blueprint",
+  "shuffleQuestions",
+  "shuffleOptions",
+  "penalty",
+  "partialCredit",
+]
+
+/**
+ * JSON with object keys sorted, so equal content always serializes the same way
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`
+  }
+  return JSON.stringify(value === undefined ? null : value)
+}
+
+const sameValue = (a, b) => stableStringify(a) === stableStringify(b)
+
+/**
+ * The versioned part of a test
+ * Every versioned field is included, null when the test does not set it, so a setting added
+ * later never leaks into versions taken before it existed.
+ */
+function versionContent(test) {
+  return VERSIONED_FIELDS.reduce((content, field) => ({ ...content, [field]: test[field] ?? null }), {})
+}
+
+/**
+ * Versions of a test, oldest first
+ */
+function listVersions(testId) {
+  return getStore()
+    .find(VERSIONS, { testId })
+    .sort((a, b) => a.version - b.version)
+}
+
+/**
+ * @param {string} testId - Test id
+ * @param {number} number - Version number
+ * @returns {Object|null} Version record
+ */
+function findVersion(testId, number) {
+  return getStore().find(VERSIONS, { testId, version: Number(number) })[0] || null
+}
+
+/**
+ * Make sure the test's current content is stored as a version and return that version
+ * A new version is only created when the content differs from the latest one. The first
+ * version of a test also takes over results recorded before tests were versioned.
+ * @param {Object} test - Stored test
+ * @param {string} userId - Who caused the new version, if any
+ * @returns {Object} Version record
+ */
+function ensureVersion(test, userId = null) {
+  const store = getStore()
+  const versions = listVersions(test.id)
+  const latest = versions[versions.length - 1]
+  const content = versionContent(test)
+
+  // Versions stored before every field was snapshotted compare with their missing fields as null
+  if (latest && sameValue(versionContent(latest.content), content)) return latest
+
+  const version = {
+    id: uuidv4(),
+    testId: test.id,
+    version: latest ? latest.version + 1 : 1,
+    content: JSON.parse(JSON.stringify(content)),
+    createdBy: userId,
+    createdAt: new Date().toISOString(),
+  }
+
+  store.insert(VERSIONS, version)
+  store.update("tests", (tests) =>
+    tests.map((t) => (t.id === test.id ? { ...t, version: version.version, versionId: version.id } : t)),
+  )
+
+  if (!latest) {
+    const pin = (record) =>
+      record.testId === test.id && !record.versionId ? { ...record, versionId: version.id, version: version.version } : record
+    store.update("results", (results) => results.map(pin))
+    store.update("attempts", (attempts) => attempts.map(pin))
+  }
+
+  return version
+}
+
+/**
+ * The test as it was at a version; records without a version use the test as it is now
+ * Versioned fields always come from the version, including ones it did not set, so settings
+ * added to the test afterwards do not apply to it.
+ * @param {Object} test - Stored test
+ * @param {string} versionId - Version the attempt or result is pinned to
+ */
+function testAtVersion(test, versionId) {
+  if (!test || !versionId) return test
+  const version = getStore().find(VERSIONS, { id: versionId })[0]
+  return version ? { ...test, ...versionContent(version.content) } : test
+}
+
+/**
+ * Differences between two versions of a test
+ * Questions are matched by id and compared field by field.
+ * @returns {Object} { fields: [{ field, from, to }], questions: { added, removed, changed } }
+ */
+function diffVersions(from, to) {
+  const fields = VERSIONED_FIELDS.filter((field) => field !== "questions")
+    .filter((field) => !sameValue(from.content[field], to.content[field]))
+    .map((field) => ({ field, from: from.content[field], to: to.content[field] }))
+
+  const oldQuestions = from.content.questions || []
+  const newQuestions = to.content.questions || []
+
+  const changed = newQuestions
+    .map((question) => {
+      const old = oldQuestions.find((q) => q.id === question.id)
+      if (!old) return null
+
+      const changes = [...new Set([...Object.keys(old), ...Object.keys(question)])]
+        .filter((field) => !sameValue(old[field], question[field]))
+        .map((field) => ({ field, from: old[field], to: question[field] }))
+
+      return changes.length > 0 ? { id: question.id, text: question.text, changes } : null
+    })
+    .filter(Boolean)
+
+  return {
+    from: from.version,
+    to: to.version,
+    fields,
+    questions: {
+      added: newQuestions.filter((q) => !oldQuestions.some((o) => o.id === q.id)),
+      removed: oldQuestions.filter((q) => !newQuestions.some((n) => n.id === q.id)),
+      changed,
+    },
+  }
+}
+
+module.exports = {
+  VERSIONED_FIELDS,
+  versionContent,
+  listVersions,
+  findVersion,
+  ensureVersion,
+  testAtVersion,
+  diffVersions,
+}
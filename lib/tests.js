@@ -0,0 +1,230 @@
+const { getStore } = require("./storage")
+const { notifyUser } = require("./notifications")
+const { groupsOfUser, membersOfGroups } = require("./groups")
+const { ensureVersion } = require("./testVersions")
+
+// Test operations shared by the API routes and the admin bot commands
+
+// Which score counts when a student takes a test more than once
+const RETAKE_POLICIES = ["best", "latest", "average"]
+
+// Why a student cannot start a test, as returned by testAvailability
+const UNAVAILABLE_MESSAGES = {
+  "not-published": "Bu test hali e'lon qilinmagan",
+  archived: "Bu test arxivlangan",
+  "not-assigned": "Bu test sizning guruhingizga biriktirilmagan",
+  "not-open": "Test hali ochilmagan",
+  closed: "Test yopilgan",
+  "no-attempts-left": "Bu test uchun urinishlar soni tugagan",
+}
+
+/**
+ * Test shape used in test lists (no questions)
+ * @param {Object} test - Stored test
+ * @param {Object} options - { admin: include publication state and pool size }
+ */
+function summarizeTest(test, { admin = false } = {}) {
+  const summary = {
+    id: test.id,
+    title: test.title,
+    description: test.description,
+    duration: test.duration,
+    questionCount: test.drawCount || test.questions.length,
+    opensAt: test.opensAt || null,
+    closesAt: test.closesAt || null,
+    maxAttempts: test.maxAttempts || null,
+    retakePolicy: test.retakePolicy || "best",
+  }
+
+  if (!admin) return summary
+
+  return {
+    ...summary,
+    createdAt: test.createdAt,
+    published: test.published,
+    poolSize: test.questions.length,
+    groupIds: test.groupIds || [],
+    version: test.version || null,
+    archived: Boolean(test.archived),
+  }
+}
+
+/**
+ * Validate the availability settings of a test
+ * @param {Object} settings - { groupIds, opensAt, closesAt, maxAttempts, retakePolicy }
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateTestSettings({ groupIds, opensAt, closesAt, maxAttempts, retakePolicy }) {
+  if (groupIds !== undefined && groupIds !== null) {
+    if (!Array.isArray(groupIds)) return "groupIds massiv bo'lishi kerak"
+    const groups = getStore().read("groups")
+    const unknown = groupIds.find((id) => !groups.some((g) => g.id === id))
+    if (unknown) return `Guruh topilmadi: ${unknown}`
+  }
+
+  const invalidDate = (value) => value && Number.isNaN(new Date(value).getTime())
+  if (invalidDate(opensAt)) return "opensAt sana bo'lishi kerak"
+  if (invalidDate(closesAt)) return "closesAt sana bo'lishi kerak"
+  if (opensAt && closesAt && new Date(closesAt) <= new Date(opensAt)) {
+    return "Test yopilish vaqti ochilish vaqtidan keyin bo'lishi kerak"
+  }
+
+  if (maxAttempts !== undefined && maxAttempts !== null && !(Number.isInteger(maxAttempts) && maxAttempts > 0)) {
+    return "maxAttempts musbat butun son bo'lishi kerak"
+  }
+
+  if (retakePolicy !== undefined && !RETAKE_POLICIES.includes(retakePolicy)) {
+    return `retakePolicy quyidagilardan biri bo'lishi kerak: ${RETAKE_POLICIES.join(", ")}`
+  }
+
+  return null
+}
+
+/**
+ * Availability settings taken from a request body, with defaults for a new test
+ * No groups means every student may take the test; no dates means it is always open.
+ */
+function testSettings(body) {
+  return {
+    groupIds: body.groupIds || [],
+    opensAt: body.opensAt ? new Date(body.opensAt).toISOString() : null,
+    closesAt: body.closesAt ? new Date(body.closesAt).toISOString() : null,
+    maxAttempts: body.maxAttempts || null, // null = unlimited
+    retakePolicy: body.retakePolicy || "best",
+  }
+}
+
+/**
+ * Whether a test is assigned to the user through one of their groups,
+ * or to every student because it has no groups
+ */
+function isAssigned(test, user, groups = groupsOfUser(user.id)) {
+  if (!test.groupIds || test.groupIds.length === 0) return true
+  return groups.some((g) => test.groupIds.includes(g.id))
+}
+
+/**
+ * Whether a student can start (or resume) a test right now
+ * A running attempt can always be resumed; its deadline already ends at closesAt.
+ * @param {Object} test - Stored test
+ * @param {Object} user - Student
+ * @param {Object} context - { groups, results, attempts } of the user, to avoid reloading them per test
+ * @returns {Object} { available, reason, message, attemptsUsed, attemptsLeft, running }
+ */
+function testAvailability(test, user, context = {}) {
+  const store = getStore()
+  const results = (context.results || store.find("results", { userId: user.id })).filter((r) => r.testId === test.id)
+  const running = (context.attempts || store.find("attempts", { userId: user.id })).some(
+    (a) => a.testId === test.id && a.status === "in-progress",
+  )
+  const now = Date.now()
+
+  // Legacy results have no attempt record, so finished attempts are counted by their results
+  const attemptsUsed = results.length + (running ? 1 : 0)
+  const attemptsLeft = test.maxAttempts ? Math.max(0, test.maxAttempts - attemptsUsed) : null
+
+  let reason = null
+  if (test.archived) reason = "archived"
+  else if (!test.published) reason = "not-published"
+  else if (!isAssigned(test, user, context.groups)) reason = "not-assigned"
+  else if (running) reason = null
+  else if (test.opensAt && new Date(test.opensAt).getTime() > now) reason = "not-open"
+  else if (test.closesAt && new Date(test.closesAt).getTime() <= now) reason = "closed"
+  else if (attemptsLeft === 0) reason = "no-attempts-left"
+
+  return {
+    available: !reason,
+    reason,
+    message: reason ? UNAVAILABLE_MESSAGES[reason] : null,
+    attemptsUsed,
+    attemptsLeft,
+    running,
+  }
+}
+
+/**
+ * Tests a student can take right now, each with its availability
+ * @returns {Array} [{ test, availability }]
+ */
+function availableTests(user) {
+  const store = getStore()
+  const context = {
+    groups: groupsOfUser(user.id),
+    results: store.find("results", { userId: user.id }),
+    attempts: store.find("attempts", { userId: user.id }),
+  }
+
+  return store
+    .read("tests")
+    .map((test) => ({ test, availability: testAvailability(test, user, context) }))
+    .filter(({ availability }) => availability.available)
+}
+
+/**
+ * Whether a user may edit, publish, delete and see results of a test:
+ * admins manage every test, teachers only the tests they own
+ */
+function canManageTest(user, test) {
+  if (!user || !test) return false
+  return user.role === "admin" || (user.role === "teacher" && test.createdBy === user.id)
+}
+
+/**
+ * Tests a staff member manages
+ */
+function managedTests(user, tests) {
+  return tests.filter((test) => canManageTest(user, test))
+}
+
+/**
+ * Publish or unpublish a test; students are told about newly published tests
+ * and the published content is stored as a version (see lib/testVersions)
+ * @param {string} id - Test id
+ * @param {boolean} published - New publication state
+ * @param {string} userId - Who published it
+ * @returns {Object|null} The updated test, or null when it does not exist
+ */
+function setTestPublished(id, published, userId = null) {
+  let wasPublished = false
+  let updated = null
+
+  getStore().update("tests", (tests) =>
+    tests.map((test) => {
+      if (test.id !== id) return test
+      wasPublished = Boolean(test.published)
+      updated = { ...test, published, updatedAt: new Date().toISOString() }
+      return updated
+    }),
+  )
+
+  if (updated && published) ensureVersion(updated, userId)
+
+  // Tell students about a newly published test (not when it is re-published);
+  // a test assigned to groups is only announced to their members
+  if (updated && published && !wasPublished) {
+    const message = `Yangi test e'lon qilindi: "${updated.title}"${
+      updated.duration ? `\nDavomiyligi: ${updated.duration} daqiqa` : ""
+    }${updated.closesAt ? `\nTopshirish muddati: ${new Date(updated.closesAt).toLocaleString("uz-UZ")}` : ""}`
+    const members = updated.groupIds && updated.groupIds.length > 0 ? membersOfGroups(updated.groupIds) : null
+
+    getStore()
+      .find("users", { role: "student" })
+      .filter((user) => !members || members.includes(user.id))
+      .forEach((user) => notifyUser(user, "test-published", message))
+  }
+
+  return updated
+}
+
+module.exports = {
+  RETAKE_POLICIES,
+  summarizeTest,
+  validateTestSettings,
+  testSettings,
+  isAssigned,
+  testAvailability,
+  availableTests,
+  canManageTest,
+  managedTests,
+  setTestPublished,
+}
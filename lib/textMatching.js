@@ -0,0 +1,157 @@
+/**
+ * Normalize a free-text answer: lower case, unify apostrophes, drop punctuation
+ * and collapse whitespace, so "  Toshkent, " and "toshkent" compare equal
+ */
+function normalizeText(value) {
+  return (value ?? "")
+    .toString()
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[\p{P}\p{S}]/gu, "")
+    .replace(/\s+/g, " ")
+    .trim()
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ */
+function editDistance(a, b) {
+  if (a === b) return 0
+  if (!a.length) return b.length
+  if (!b.length) return a.length
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+    }
+    previous = current
+  }
+
+  return previous[b.length]
+}
+
+/**
+ * Read a number from an answer, ignoring a trailing unit ("12.5 kg", "3,14", "-2m/s")
+ * @param {*} value - Raw answer
+ * @param {Array} units - Allowed units; when given, any other unit makes the answer non-numeric
+ * @returns {Object|null} { value, unit } or null when the answer is not a number
+ */
+function parseNumber(value, units) {
+  const match = (value ?? "")
+    .toString()
+    .trim()
+    .match(/^([-+]?\d+(?:[.,]\d+)?(?:e[-+]?\d+)?)\s*(\D.*)?$/i)
+
+  if (!match) return null
+
+  const unit = (match[2] || "").trim()
+  if (unit && Array.isArray(units) && units.length > 0) {
+    if (!units.some((u) => u.toLowerCase() === unit.toLowerCase())) return null
+  }
+
+  return { value: Number(match[1].replace(",", ".")), unit }
+}
+
+/**
+ * Whether the unit given with a number is acceptable: no unit at all, the unit of the
+ * expected answer, or one of the question's allowed units (compared case-insensitively)
+ * @param {string} unit - Unit read from the answer
+ * @param {string} expectedUnit - Unit of the accepted answer, if any
+ * @param {Array} units - The question's allowed units, if any
+ */
+function unitAccepted(unit, expectedUnit, units) {
+  if (!unit) return true
+  const same = (u) => (u ?? "").toString().trim().toLowerCase() === unit.toLowerCase()
+  return same(expectedUnit) || (Array.isArray(units) && units.some(same))
+}
+
+/**
+ * Compile an answer pattern; "/^colou?r$/i" style strings keep their flags,
+ * plain strings are matched case-insensitively
+ * @returns {RegExp|null} null when the pattern is invalid
+ */
+function compilePattern(pattern) {
+  try {
+    const literal = pattern.match(/^\/(.+)\/([a-z]*)$/)
+    return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern, "i")
+  } catch (err) {
+    return null
+  }
+}
+
+/**
+ * Match a free-text answer against a question's answer rules, in order:
+ *  1. exact: same text ignoring case and surrounding spaces
+ *  2. normalized: same text after normalizeText (punctuation, apostrophes, whitespace)
+ *  3. numeric: both sides are numbers within `question.tolerance` and the answer's unit, if any,
+ *     is the accepted answer's unit or one of `question.units` (see unitAccepted)
+ *  4. pattern: one of `question.answerPatterns` (regular expressions) matches
+ *  5. typo: within `question.typoTolerance` edits of an accepted answer
+ *
+ * @param {Object} question - Text question ({ correctAnswer, acceptedAnswers, answerPatterns, typoTolerance, tolerance, units })
+ * @param {*} given - The student's answer
+ * @returns {Object|null} { rule, value, distance? } describing the matching rule, or null
+ */
+function matchTextAnswer(question, given) {
+  const raw = (given ?? "").toString().trim()
+  if (!raw) return null
+
+  const accepted = [...(question.acceptedAnswers || []), question.correctAnswer]
+    .filter((a) => a !== undefined && a !== null && a.toString().trim() !== "")
+    .map((a) => a.toString())
+    .filter((a, index, list) => list.indexOf(a) === index)
+
+  const exact = accepted.find((a) => a.trim().toLowerCase() === raw.toLowerCase())
+  if (exact !== undefined) return { rule: "exact", value: exact }
+
+  const normalizedGiven = normalizeText(raw)
+  const normalized = accepted.find((a) => normalizeText(a) === normalizedGiven)
+  if (normalized !== undefined) return { rule: "normalized", value: normalized }
+
+  const givenNumber = parseNumber(raw, question.units)
+  if (givenNumber) {
+    const tolerance = Math.abs(Number(question.tolerance) || 0)
+    const numeric = accepted.find((a) => {
+      const expected = parseNumber(a)
+      return (
+        expected &&
+        unitAccepted(givenNumber.unit, expected.unit, question.units) &&
+        Math.abs(expected.value - givenNumber.value) <= tolerance
+      )
+    })
+    if (numeric !== undefined) return { rule: "numeric", value: numeric }
+  }
+
+  const pattern = (question.answerPatterns || []).find((p) => {
+    const regex = compilePattern(p)
+    return regex && regex.test(raw)
+  })
+  if (pattern !== undefined) return { rule: "pattern", value: pattern }
+
+  const maxTypos = Math.floor(Number(question.typoTolerance) || 0)
+  if (maxTypos > 0) {
+    let best = null
+    accepted.forEach((a) => {
+      const distance = editDistance(normalizeText(a), normalizedGiven)
+      if (distance <= maxTypos && (!best || distance < best.distance)) {
+        best = { rule: "typo", value: a, distance }
+      }
+    })
+    if (best) return best
+  }
+
+  return null
+}
+
+module.exports = {
+  normalizeText,
+  editDistance,
+  parseNumber,
+  unitAccepted,
+  compilePattern,
+  matchTextAnswer,
+}
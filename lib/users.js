@@ -0,0 +1,98 @@
+const crypto = require("crypto")
+const { normalizePhone } = require("./phone")
+
+const USER_ROLES = ["admin", "teacher", "student"]
+// Roles that author tests; teachers only manage what they own (see canManageTest in lib/tests)
+const STAFF_ROLES = ["admin", "teacher"]
+const MIN_PASSWORD_LENGTH = 6
+
+/**
+ * User shape returned by the API (never includes the password hash)
+ * @param {Object} user - Stored user
+ * @param {Array} links - Telegram links, to report whether the user has one
+ */
+function toPublicUser(user, links = []) {
+  return {
+    id: user.id,
+    username: user.username,
+    name: user.name,
+    role: user.role,
+    telegram: user.telegram,
+    telegramLinked: links.some((l) => l.userId === user.id),
+    phone: user.phone || null,
+    phoneVerified: Boolean(user.phoneVerified),
+    blocked: Boolean(user.blocked),
+    blockedAt: user.blockedAt || null,
+    blockedReason: user.blockedReason || null,
+    // Temporary lockout after repeated failed logins (see lib/security)
+    lockedUntil: user.lockedUntil && new Date(user.lockedUntil) > new Date() ? user.lockedUntil : null,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt || null,
+  }
+}
+
+const isStaff = (user) => Boolean(user) && STAFF_ROLES.includes(user.role)
+
+/**
+ * Validate the fields an admin may set on a user
+ * @param {Object} data - { username, password, name, role, phone, telegram }
+ * @param {Object} options - { creating: username, password and name are required }
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateUserInput(data, { creating = false } = {}) {
+  if (creating) {
+    if (!data.username || !data.username.toString().trim()) return "Foydalanuvchi nomi kiritilishi shart"
+    if (!data.name || !data.name.toString().trim()) return "To'liq ism kiritilishi shart"
+    if (!data.password) return "Parol kiritilishi shart"
+  }
+
+  if (data.name !== undefined && !data.name.toString().trim()) {
+    return "To'liq ism bo'sh bo'lishi mumkin emas"
+  }
+
+  if (data.password !== undefined) {
+    const passwordError = validatePassword(data.password)
+    if (passwordError) return passwordError
+  }
+
+  if (data.role !== undefined && !USER_ROLES.includes(data.role)) {
+    return `Rol quyidagilardan biri bo'lishi kerak: ${USER_ROLES.join(", ")}`
+  }
+
+  if (data.phone !== undefined && data.phone !== null && data.phone !== "" && !normalizePhone(data.phone)) {
+    return "Telefon raqam noto'g'ri formatda"
+  }
+
+  if (data.telegram !== undefined && data.telegram !== null && typeof data.telegram !== "string") {
+    return "Telegram foydalanuvchi nomi matn bo'lishi kerak"
+  }
+
+  return null
+}
+
+/**
+ * @returns {string|null} Error message, or null when the password is acceptable
+ */
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Parol kamida ${MIN_PASSWORD_LENGTH} belgidan iborat bo'lishi kerak`
+  }
+  return null
+}
+
+/**
+ * Random password handed out when an admin resets a password without choosing one
+ */
+function generatePassword() {
+  return crypto.randomBytes(6).toString("base64url")
+}
+
+module.exports = {
+  USER_ROLES,
+  STAFF_ROLES,
+  isStaff,
+  toPublicUser,
+  validateUserInput,
+  validatePassword,
+  generatePassword,
+}
@@ -3,53 +3,106 @@ const express = require("express")
 const app = express()
 const cors = require("cors")
 const path = require("path")
+const crypto = require("crypto")
 const fs = require("fs")
-const jwt = require("jsonwebtoken")
 const bcrypt = require("bcryptjs")
 const { v4: uuidv4 } = require("uuid")
 const multer = require("multer")
-const { parseTestFile, selectRandomQuestions } = require("./lib/testParser")
+const { formats: importFormats, importQuestions } = require("./lib/importers")
+const { importZip } = require("./lib/importers/zip")
+const { buildPaper } = require("./lib/paper")
+const {
+  toStudentQuestion,
+  finalizeExpiredAttempts,
+  startAttempt,
+  saveAttemptAnswers,
+  submitAttempt,
+  remainingSeconds,
+} = require("./lib/attempts")
+const {
+  summarizeTest,
+  canManageTest,
+  managedTests,
+  setTestPublished,
+  validateTestSettings,
+  testSettings,
+  isAssigned,
+  testAvailability,
+  availableTests,
+} = require("./lib/tests")
+const { summarizeResult, testScores } = require("./lib/results")
+const { REGRADE_ACTIONS, resultPaper, regradeTest } = require("./lib/regrade")
+const { testAnalytics } = require("./lib/analytics")
+const { listVersions, findVersion, ensureVersion, testAtVersion, diffVersions } = require("./lib/testVersions")
+const { toPublicGroup, groupsOfUser, validateMemberIds, removeFromGroups } = require("./lib/groups")
+const { STAFF_ROLES, isStaff, toPublicUser, validateUserInput, validatePassword, generatePassword } = require("./lib/users")
+const auth = require("./lib/auth")
+const {
+  DIFFICULTIES,
+  matchesRule,
+  orderBlueprint,
+  blueprintShortages,
+  validateBankQuestion,
+  validateScoring,
+  parseTags,
+} = require("./lib/questionBank")
+const { getStore } = require("./lib/storage")
+const telegramLinks = require("./lib/telegramLinks")
+const { normalizePhone } = require("./lib/phone")
+const security = require("./lib/security")
+const {
+  NOTIFICATION_STATUSES,
+  NOTIFICATION_CATEGORIES,
+  statusOf,
+  enqueueNotification,
+  notificationPreferences,
+  requeueNotification,
+} = require("./lib/notifications")
 const { initializeBot } = require("./bot")
 
 // Load environment variables
 require("dotenv").config()
 
-// Create data directories if they don't exist
-const dataDir = path.join(__dirname, "data")
+// Create uploads directory if it doesn't exist
 const uploadsDir = path.join(__dirname, "uploads")
 
-if (!fs.existsSync(dataDir)) {
-  fs.mkdirSync(dataDir)
-}
-
 if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir)
 }
 
-// Initialize data files if they don't exist
-const dataFiles = ["users.json", "tests.json", "results.json", "verifications.json", "notifications.json"]
-
-dataFiles.forEach((file) => {
-  const filePath = path.join(dataDir, file)
-  if (!fs.existsSync(filePath)) {
-    fs.writeFileSync(filePath, JSON.stringify([]))
-  }
-})
-
-// Create admin user if it doesn't exist
-const usersPath = path.join(dataDir, "users.json")
-let users = []
-try {
-  const usersData = fs.readFileSync(usersPath, "utf8")
-  users = JSON.parse(usersData)
-} catch (err) {
-  console.error("Error reading users file:", err)
-  users = []
+// Shared data store (JSON files or SQLite, see lib/storage), also used by the bot
+const store = getStore()
+console.log(`Using ${store.driver} storage`)
+
+// Initialize collections if they don't exist
+const collections = [
+  "users",
+  "tests",
+  "questions",
+  "results",
+  "attempts",
+  "verifications",
+  "notifications",
+  "telegramLinks",
+  "refreshTokens",
+  "passwordResets",
+  "securityEvents",
+  "groups",
+  "testVersions",
+]
+
+collections.forEach((collection) => store.read(collection))
+
+// Older bot versions stored Telegram chats in users.json; move them to telegramLinks
+const movedBotUsers = telegramLinks.migrateLegacyBotUsers()
+if (movedBotUsers > 0) {
+  console.log(`Moved ${movedBotUsers} Telegram bot record(s) out of users`)
 }
 
-if (!users.some((user) => user.role === "admin")) {
+// Create admin user if it doesn't exist
+if (!store.read("users").some((user) => user.role === "admin")) {
   const adminPassword = bcrypt.hashSync("admin123", 10)
-  users.push({
+  store.insert("users", {
     id: uuidv4(),
     username: "admin",
     password: adminPassword,
@@ -57,7 +110,6 @@ if (!users.some((user) => user.role === "admin")) {
     role: "admin",
     createdAt: new Date().toISOString(),
   })
-  fs.writeFileSync(usersPath, JSON.stringify(users, null, 2))
   console.log("Admin user created")
 }
 
@@ -91,12 +143,13 @@ const storage = multer.diskStorage({
 const upload = multer({
   storage: storage,
   fileFilter: (req, file, cb) => {
-    // Accept text files and images
+    // Accept question files (native text, GIFT, Aiken, CSV), ZIP bundles with images, and images
     if (file.fieldname === "testFile") {
-      if (file.mimetype === "text/plain") {
+      const extension = path.extname(file.originalname).toLowerCase()
+      if (file.mimetype.startsWith("text/") || [".txt", ".gift", ".aiken", ".csv", ".zip"].includes(extension)) {
         cb(null, true)
       } else {
-        cb(new Error("Only text files are allowed for test import"))
+        cb(new Error("Only text, GIFT, Aiken, CSV or ZIP files are allowed for test import"))
       }
     } else if (file.fieldname === "image") {
       if (file.mimetype.startsWith("image/")) {
@@ -122,8 +175,23 @@ app.use(
 )
 app.use(express.json())
 
-// Serve uploaded files
-app.use("/uploads", express.static(path.join(__dirname, "uploads")))
+// Behind a reverse proxy (Render, nginx) req.ip must come from X-Forwarded-For, or every
+// client shares the proxy's address in the rate limits. TRUST_PROXY is the number of proxies.
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY)
+}
+
+// Serve uploaded files; they are only ever shown as images, so nothing in them may run
+// scripts on the app's origin (e.g. an SVG opened directly)
+app.use(
+  "/uploads",
+  express.static(path.join(__dirname, "uploads"), {
+    setHeaders: (res) => {
+      res.set("Content-Security-Policy", "default-src 'none'; style-src 'unsafe-inline'; sandbox")
+      res.set("X-Content-Type-Options", "nosniff")
+    },
+  }),
+)
 
 // Serve static files from the public directory
 app.use(express.static(path.join(__dirname, "public")))
@@ -135,13 +203,23 @@ const authenticateToken = (req, res, next) => {
 
   if (!token) return res.status(401).json({ error: "Token taqdim etilmadi" })
 
-  jwt.verify(token, process.env.JWT_SECRET || "your-secret-key", (err, user) => {
-    if (err) return res.status(403).json({ error: "Token yaroqsiz" })
-    req.user = user
-    next()
-  })
+  const user = auth.verifyAccessToken(token)
+  if (!user) return res.status(403).json({ error: "Token yaroqsiz" })
+
+  // Tokens of deleted or blocked accounts, or issued before a logout everywhere, stop working right away
+  const account = store.find("users", { id: user.id })[0]
+  if (!account) return res.status(401).json({ error: "Foydalanuvchi topilmadi" })
+  if (account.blocked) return res.status(403).json({ error: "Hisobingiz bloklangan" })
+  if (auth.isTokenRevoked(user, account)) return res.status(401).json({ error: "Sessiya tugatilgan" })
+
+  // Role changes take effect without a new login
+  req.user = { ...user, role: account.role }
+  next()
 }
 
+// Client details stored with a session
+const clientOf = (req) => ({ userAgent: req.headers["user-agent"], ip: req.ip })
+
 // Admin middleware
 const adminOnly = (req, res, next) => {
   if (req.user.role !== "admin") {
@@ -150,28 +228,45 @@ const adminOnly = (req, res, next) => {
   next()
 }
 
-// Helper function to read/write data files
-const readDataFile = (fileName) => {
-  const filePath = path.join(dataDir, fileName)
-  try {
-    const data = fs.readFileSync(filePath, "utf8")
-    return JSON.parse(data)
-  } catch (err) {
-    console.error(`Error reading ${fileName}:`, err)
-    return []
+// Staff middleware: admins and teachers (teachers are limited to their own tests per route)
+const staffOnly = (req, res, next) => {
+  if (!isStaff(req.user)) {
+    return res.status(403).json({ error: "Bu amal faqat o'qituvchilar va adminlar uchun" })
+  }
+  next()
+}
+
+// Load the test in req.params.id for a route that changes it; teachers may only touch their own tests
+const loadManagedTest = (req, res, next) => {
+  const test = store.find("tests", { id: req.params.id })[0]
+
+  if (!test) {
+    return res.status(404).json({ error: "Test topilmadi" })
   }
+
+  if (!canManageTest(req.user, test)) {
+    return res.status(403).json({ error: "Siz bu testni boshqara olmaysiz" })
+  }
+
+  req.test = test
+  next()
 }
 
-const writeDataFile = (fileName, data) => {
-  const filePath = path.join(dataDir, fileName)
+// Helper functions to read/write a whole collection ("users.json" -> "users")
+const collectionOf = (fileName) => fileName.replace(/\.json$/, "")
+
+const readDataFile = (fileName) => store.read(collectionOf(fileName))
+
+const writeDataFile = (fileName, data) => store.write(collectionOf(fileName), data)
+
+// Auto-submit expired attempts even when nobody loads them (see lib/attempts)
+setInterval(() => {
   try {
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2))
-    return true
+    finalizeExpiredAttempts()
   } catch (err) {
-    console.error(`Error writing ${fileName}:`, err)
-    return false
+    console.error("Error finalizing expired attempts:", err)
   }
-}
+}, 60 * 1000).unref()
 
 // API Routes
 
@@ -189,8 +284,35 @@ app.get("/api/config", (req, res) => {
   })
 })
 
+// Rate limits for the unauthenticated auth endpoints, per IP and per targeted account
+const MINUTE = 60 * 1000
+const usernameKey = (req) => req.body && req.body.username
+const limitLogin = security.rateLimit({ name: "login", windowMs: 15 * MINUTE, max: 30, accountKey: usernameKey, accountMax: 10 })
+const limitSendCode = security.rateLimit({
+  name: "send-code",
+  windowMs: 60 * MINUTE,
+  max: 10,
+  accountKey: (req) => req.body && normalizePhone(req.body.phone),
+  accountMax: 3,
+})
+const limitVerifyCode = security.rateLimit({
+  name: "verify-code",
+  windowMs: 15 * MINUTE,
+  max: 30,
+  accountKey: (req) => req.body && req.body.userId,
+  accountMax: 10,
+})
+const limitPasswordReset = security.rateLimit({
+  name: "password-reset",
+  windowMs: 60 * MINUTE,
+  max: 10,
+  accountKey: usernameKey,
+  accountMax: 5,
+})
+const limitRefresh = security.rateLimit({ name: "refresh", windowMs: 15 * MINUTE, max: 60 })
+
 // Auth routes
-app.post("/api/auth/login", (req, res) => {
+app.post("/api/auth/login", limitLogin, (req, res) => {
   const { username, password } = req.body
 
   if (!username || !password) {
@@ -200,19 +322,38 @@ app.post("/api/auth/login", (req, res) => {
   const users = readDataFile("users.json")
   const user = users.find((u) => u.username === username)
 
-  if (!user || !bcrypt.compareSync(password, user.password)) {
+  if (!user) {
+    security.logSecurityEvent("login-failed", { req, username })
     return res.status(401).json({ error: "Noto'g'ri foydalanuvchi nomi yoki parol" })
   }
 
-  // Create token
-  const token = jwt.sign(
-    { id: user.id, username: user.username, role: user.role },
-    process.env.JWT_SECRET || "your-secret-key",
-    { expiresIn: "24h" },
-  )
+  // Checked before the password, so a locked account cannot be guessed at all
+  const lockedFor = security.lockoutRemaining(user)
+  if (lockedFor > 0) {
+    security.logSecurityEvent("login-while-locked", { req, userId: user.id, username: user.username })
+    res.set("Retry-After", lockedFor.toString())
+    return res.status(423).json({
+      error: `Juda ko'p noto'g'ri urinish. Hisob ${Math.ceil(lockedFor / 60)} daqiqaga vaqtincha bloklandi`,
+      retryAfter: lockedFor,
+    })
+  }
+
+  if (!bcrypt.compareSync(password, user.password)) {
+    security.recordFailedLogin(user, req)
+    return res.status(401).json({ error: "Noto'g'ri foydalanuvchi nomi yoki parol" })
+  }
+
+  if (user.blocked) {
+    return res.status(403).json({ error: "Hisobingiz bloklangan. Administratorga murojaat qiling" })
+  }
+
+  security.recordSuccessfulLogin(user)
+
+  // Short-lived access token plus a refresh token for POST /api/auth/refresh
+  const tokens = auth.issueTokens(user, clientOf(req))
 
   res.json({
-    token,
+    ...tokens,
     user: {
       id: user.id,
       username: user.username,
@@ -222,15 +363,14 @@ app.post("/api/auth/login", (req, res) => {
   })
 })
 
-// Update the send-code endpoint to fix verification code sending
-app.post("/api/auth/send-code", (req, res) => {
+// Start a registration: store a verification code and a one-time deep-link token.
+// The user opens t.me/<bot>?start=<token>; the bot binds the verification to their
+// Telegram user id and sends the code. The Telegram username is optional and only
+// used as a fallback for users who message the bot without the link.
+app.post("/api/auth/send-code", limitSendCode, (req, res) => {
   console.log("Send code endpoint called with body:", req.body)
   const { telegram, name, phone } = req.body
 
-  if (!telegram) {
-    return res.status(400).json({ error: "Telegram username kiritilishi shart" })
-  }
-
   if (!name) {
     return res.status(400).json({ error: "To'liq ism kiritilishi shart" })
   }
@@ -239,34 +379,49 @@ app.post("/api/auth/send-code", (req, res) => {
     return res.status(400).json({ error: "Telefon raqam kiritilishi shart" })
   }
 
-  // Generate a random 6-digit code
-  const code = Math.floor(100000 + Math.random() * 900000).toString()
+  // Stored in E.164 so it can be compared with the contact shared in Telegram
+  const normalizedPhone = normalizePhone(phone)
+  if (!normalizedPhone) {
+    return res.status(400).json({ error: "Telefon raqam noto'g'ri formatda" })
+  }
+
+  // Generate a random 6-digit code and the deep-link token (Telegram allows [A-Za-z0-9_-], up to 64 chars)
+  const code = crypto.randomInt(100000, 1000000).toString()
+  const startToken = crypto.randomBytes(16).toString("hex")
   const userId = uuidv4()
 
-  // Store verification code with expiration
-  const verifications = readDataFile("verifications.json")
+  // Store verification code with expiration; verifications that ended over a day ago are dropped
+  const dayAgo = Date.now() - 24 * 60 * 60 * 1000
+  const verifications = readDataFile("verifications.json").filter((v) => new Date(v.expiresAt).getTime() > dayAgo)
 
   // Remove @ symbol if present in the telegram username
-  let cleanTelegram = telegram
-  if (cleanTelegram.startsWith("@")) {
-    cleanTelegram = cleanTelegram.substring(1)
+  const cleanTelegram = (telegram || "").trim().replace(/^@/, "") || null
+
+  // Expire any existing unbound codes for this telegram username
+  if (cleanTelegram) {
+    verifications.forEach((v) => {
+      if (
+        v.telegram &&
+        v.telegram.toLowerCase() === cleanTelegram.toLowerCase() &&
+        v.status === "pending" &&
+        !v.telegramUserId
+      ) {
+        v.status = "expired"
+      }
+    })
   }
 
-  // Expire any existing codes for this telegram username
-  verifications.forEach((v) => {
-    if (v.telegram.toLowerCase() === cleanTelegram.toLowerCase() && v.status === "pending") {
-      v.status = "expired"
-    }
-  })
-
   // Add new verification code
   verifications.push({
     id: uuidv4(),
     userId,
     telegram: cleanTelegram,
     name,
-    phone,
+    phone: normalizedPhone,
+    phoneVerified: false,
     code,
+    failedAttempts: 0,
+    startToken,
     status: "pending",
     createdAt: new Date().toISOString(),
     expiresAt: new Date(Date.now() + 30 * 60 * 1000).toISOString(), // 30 minutes expiration
@@ -274,40 +429,60 @@ app.post("/api/auth/send-code", (req, res) => {
 
   writeDataFile("verifications.json", verifications)
 
-  // Make this endpoint just store the verification code but not attempt to send it
-  // The bot will send the code when the user interacts with it
-  console.log(`Generated verification code ${code} for Telegram user ${cleanTelegram}. 
-               User should receive it when interacting with the bot.`)
+  // The bot sends the code once the user opens the deep link (or, as a fallback, messages it from the username)
+  const botUsername = process.env.TELEGRAM_BOT_USERNAME || "your_bot_username"
+  console.log(`Generated verification ${userId}; waiting for the user to open the bot link`)
 
   res.json({
-    message: "Tasdiqlash kodini olish uchun Telegram botga o'ting va /start buyrug'ini bosing",
+    message:
+      "Tasdiqlash kodini olish uchun havola orqali Telegram botga o'ting, \"Start\" tugmasini bosing va telefon raqamingizni ulashing",
     userId,
+    botUsername,
+    deepLink: `https://t.me/${botUsername}?start=${startToken}`,
   })
 })
 
 // New endpoint for first step verification
-app.post("/api/auth/verify-code-step1", (req, res) => {
-  const { telegram, code, userId } = req.body
+app.post("/api/auth/verify-code-step1", limitVerifyCode, (req, res) => {
+  const { code, userId } = req.body
 
-  if (!telegram || !code || !userId) {
+  if (!code || !userId) {
     return res.status(400).json({ error: "Barcha ma'lumotlar kiritilishi shart" })
   }
 
-  // Verify code
+  // Verify code; the verification id is secret, so the Telegram username is not needed here
   const verifications = readDataFile("verifications.json")
   const verification = verifications.find(
     (v) =>
-      v.telegram === telegram &&
-      v.code === code &&
-      v.status === "pending" &&
-      v.userId === userId &&
-      new Date(v.expiresAt) > new Date(),
+      // The bot only sends the code after the shared contact matched, but never accept an unconfirmed phone
+      v.phoneVerified && v.status === "pending" && v.userId === userId && new Date(v.expiresAt) > new Date(),
   )
 
   if (!verification) {
     return res.status(400).json({ error: "Noto'g'ri yoki muddati o'tgan tasdiqlash kodi" })
   }
 
+  if (verification.code !== code.toString().trim()) {
+    // Only a few guesses per code; after that the user has to request a new one
+    verification.failedAttempts = (verification.failedAttempts || 0) + 1
+    const exhausted = verification.failedAttempts >= security.MAX_VERIFICATION_GUESSES
+    if (exhausted) verification.status = "expired"
+    writeDataFile("verifications.json", verifications)
+
+    security.logSecurityEvent(exhausted ? "verification-expired" : "verification-failed", {
+      req,
+      phone: verification.phone,
+      verificationId: verification.id,
+      failedAttempts: verification.failedAttempts,
+    })
+
+    return res.status(400).json({
+      error: exhausted
+        ? "Noto'g'ri kod juda ko'p marta kiritildi. Yangi tasdiqlash kodini so'rang"
+        : "Noto'g'ri yoki muddati o'tgan tasdiqlash kodi",
+    })
+  }
+
   // Update verification status to step1-verified
   verification.status = "step1-verified"
   writeDataFile("verifications.json", verifications)
@@ -317,9 +492,9 @@ app.post("/api/auth/verify-code-step1", (req, res) => {
 
 // New endpoint for completing registration
 app.post("/api/auth/complete-registration", (req, res) => {
-  const { userId, username, password, name, phone, telegram } = req.body
+  const { userId, username, password, name, telegram } = req.body
 
-  if (!userId || !username || !password || !name || !phone || !telegram) {
+  if (!userId || !username || !password || !name) {
     return res.status(400).json({ error: "Barcha ma'lumotlar kiritilishi shart" })
   }
 
@@ -346,29 +521,34 @@ app.post("/api/auth/complete-registration", (req, res) => {
     username,
     password: hashedPassword,
     name,
-    phone,
     role: "student",
-    telegram,
+    // The number confirmed through Telegram contact sharing
+    phone: verification.phone,
+    phoneVerified: Boolean(verification.phoneVerified),
+    // Prefer the username of the Telegram account the code was actually delivered to
+    telegram: verification.telegram || (telegram ? telegram.replace(/^@/, "") : null),
     createdAt: new Date().toISOString(),
   }
 
   users.push(newUser)
   writeDataFile("users.json", users)
 
+  // Link the Telegram account that received the verification code
+  if (verification.chatId) {
+    telegramLinks.linkTelegram(newUser.id, {
+      chatId: verification.chatId,
+      telegramUserId: verification.telegramUserId,
+      telegramUsername: verification.telegram,
+    })
+  }
+
   // Update verification status
   verification.status = "completed"
   writeDataFile("verifications.json", verifications)
 
-  // Create token
-  const token = jwt.sign(
-    { id: newUser.id, username: newUser.username, role: newUser.role },
-    process.env.JWT_SECRET || "your-secret-key",
-    { expiresIn: "24h" },
-  )
-
   res.json({
     message: "Ro'yxatdan muvaffaqiyatli o'tdingiz",
-    token,
+    ...auth.issueTokens(newUser, clientOf(req)),
     user: {
       id: newUser.id,
       username: newUser.username,
@@ -378,403 +558,1423 @@ app.post("/api/auth/complete-registration", (req, res) => {
   })
 })
 
-// User routes
-app.get("/api/users", authenticateToken, adminOnly, (req, res) => {
-  const users = readDataFile("users.json").map((user) => ({
-    id: user.id,
-    username: user.username,
-    name: user.name,
-    role: user.role,
-    telegram: user.telegram,
-    phone: user.phone || null,
-    createdAt: user.createdAt,
-  }))
+// Exchange a refresh token for a new access token and refresh token
+app.post("/api/auth/refresh", limitRefresh, (req, res) => {
+  const rotated = auth.rotateRefreshToken(
+    req.body.refreshToken,
+    (id) => store.find("users", { id })[0],
+    clientOf(req),
+  )
 
-  res.json(users)
-})
+  if (!rotated) {
+    if (req.body.refreshToken) security.logSecurityEvent("refresh-rejected", { req })
+    return res.status(401).json({ error: "Sessiya muddati tugagan. Qaytadan kiring" })
+  }
 
-// Endpoint to get all questions for random test creation
-app.get("/api/questions", authenticateToken, adminOnly, (req, res) => {
-  const tests = readDataFile("tests.json")
+  res.json(rotated.tokens)
+})
 
-  // Collect all questions from all tests
-  const allQuestions = []
-  tests.forEach((test) => {
-    test.questions.forEach((question) => {
-      allQuestions.push({
-        id: question.id,
-        text: question.text,
-        type: question.type,
-        options: question.options,
-        image: question.image,
-        correctAnswer: question.correctAnswer,
-      })
-    })
-  })
+// Log out of this session
+app.post("/api/auth/logout", (req, res) => {
+  auth.revokeRefreshToken(req.body.refreshToken)
+  res.json({ message: "Tizimdan chiqildi" })
+})
 
-  res.json(allQuestions)
+// Log out of every session, on every device
+app.post("/api/auth/logout-all", authenticateToken, (req, res) => {
+  const sessions = auth.revokeUserSessions(req.user.id)
+  res.json({ message: "Barcha qurilmalardan chiqildi", sessions })
 })
 
-// Test routes
-// Add this route to your server.js file, near the other test routes
-app.post("/api/tests/import", authenticateToken, adminOnly, upload.single("testFile"), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: "Test file is required" })
-    }
+app.post("/api/auth/change-password", authenticateToken, (req, res) => {
+  const { currentPassword, newPassword } = req.body
 
-    // Read the uploaded file
-    const fileContent = fs.readFileSync(req.file.path, "utf8")
+  if (!currentPassword || !newPassword) {
+    return res.status(400).json({ error: "Joriy va yangi parol kiritilishi shart" })
+  }
 
-    // Parse the file content
-    const questions = parseTestFile(fileContent)
+  const passwordError = validatePassword(newPassword)
+  if (passwordError) {
+    return res.status(400).json({ error: passwordError })
+  }
 
-    if (questions.length === 0) {
-      return res.status(400).json({ error: "No valid questions found in the file" })
-    }
+  const users = readDataFile("users.json")
+  const user = users.find((u) => u.id === req.user.id)
 
-    // Return the parsed questions
-    res.json({
-      message: `Successfully parsed ${questions.length} questions`,
-      questions: questions,
-    })
-  } catch (error) {
-    console.error("Error importing test:", error)
-    res.status(500).json({ error: "Failed to import test file" })
+  if (!user || !bcrypt.compareSync(currentPassword, user.password)) {
+    return res.status(400).json({ error: "Joriy parol noto'g'ri" })
   }
+
+  user.password = bcrypt.hashSync(newPassword, 10)
+  user.passwordChangedAt = new Date().toISOString()
+  writeDataFile("users.json", users)
+
+  // Other sessions may belong to whoever knew the old password; keep only this one
+  auth.revokeUserSessions(user.id)
+  const account = store.find("users", { id: user.id })[0]
+
+  res.json({ message: "Parol o'zgartirildi", ...auth.issueTokens(account, clientOf(req)) })
 })
 
-// Add this route to handle question image uploads
-app.post("/api/upload/image", authenticateToken, adminOnly, upload.single("image"), (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: "Image file is required" })
-    }
+// Password reset, step 1: send a one-time code to the Telegram chat linked to the account
+app.post("/api/auth/password-reset/request", limitPasswordReset, (req, res) => {
+  const { username } = req.body
 
-    // Return the path to the uploaded image
-    const imagePath = `/uploads/${req.file.filename}`
-    res.json({
-      message: "Image uploaded successfully",
-      imagePath: imagePath,
+  if (!username) {
+    return res.status(400).json({ error: "Foydalanuvchi nomi kiritilishi shart" })
+  }
+
+  const user = store.find("users", { username })[0]
+  const link = user && !user.blocked ? telegramLinks.findLinkByUserId(user.id) : null
+
+  if (link) {
+    const { code } = auth.createPasswordResetCode(user.id)
+    security.logSecurityEvent("password-reset-requested", { req, userId: user.id, username: user.username })
+    enqueueNotification({
+      userId: user.id,
+      chatId: link.chatId,
+      category: "security",
+      message: `Parolni tiklash kodi: ${code}\n\nKod 15 daqiqa amal qiladi. Agar siz so'ramagan bo'lsangiz, bu xabarni e'tiborsiz qoldiring.`,
     })
-  } catch (error) {
-    console.error("Error uploading image:", error)
-    res.status(500).json({ error: "Failed to upload image" })
   }
+
+  // Same answer whether or not the account exists, so usernames cannot be probed
+  res.json({
+    message: "Agar hisob Telegramga bog'langan bo'lsa, tiklash kodi Telegram orqali yuborildi",
+  })
 })
 
-// Add this route to create a test with random questions
-app.post("/api/tests/random", authenticateToken, adminOnly, (req, res) => {
-  try {
-    const { title, description, duration, questionCount, allQuestions } = req.body
+// Password reset, step 2: set a new password with the code; every session is logged out
+app.post("/api/auth/password-reset/confirm", limitPasswordReset, (req, res) => {
+  const { username, code, newPassword } = req.body
 
-    if (!title || !duration || !questionCount || !allQuestions || !Array.isArray(allQuestions)) {
-      return res.status(400).json({ error: "All required fields must be provided" })
-    }
+  if (!username || !code || !newPassword) {
+    return res.status(400).json({ error: "Barcha ma'lumotlar kiritilishi shart" })
+  }
 
-    // Select random questions
-    const selectedQuestions = selectRandomQuestions(allQuestions, questionCount)
+  const passwordError = validatePassword(newPassword)
+  if (passwordError) {
+    return res.status(400).json({ error: passwordError })
+  }
 
-    // Create the test
-    const newTest = {
-      id: uuidv4(),
-      title,
-      description: description || "",
-      duration,
-      createdBy: req.user.id,
-      createdAt: new Date().toISOString(),
-      published: false,
-      backgroundImage: req.body.backgroundImage || null,
-      questions: selectedQuestions.map((q) => ({
-        id: uuidv4(),
-        ...q,
-      })),
-    }
+  const users = readDataFile("users.json")
+  const user = users.find((u) => u.username === username)
 
-    const tests = readDataFile("tests.json")
-    tests.push(newTest)
-    writeDataFile("tests.json", tests)
+  if (!user || user.blocked || !auth.consumePasswordResetCode(user.id, code)) {
+    security.logSecurityEvent("password-reset-failed", { req, userId: user ? user.id : null, username })
+    return res.status(400).json({ error: "Noto'g'ri yoki muddati o'tgan tiklash kodi" })
+  }
 
-    res.status(201).json(newTest)
-  } catch (error) {
-    console.error("Error creating random test:", error)
-    res.status(500).json({ error: "Failed to create test" })
+  user.password = bcrypt.hashSync(newPassword, 10)
+  user.passwordChangedAt = new Date().toISOString()
+  // Proving control of the linked Telegram account also lifts a login lockout
+  user.failedLogins = 0
+  user.lockedUntil = null
+  writeDataFile("users.json", users)
+  auth.revokeUserSessions(user.id)
+
+  res.json({ message: "Parol tiklandi. Yangi parol bilan tizimga kiring" })
+})
+
+// User routes
+app.get("/api/users", authenticateToken, adminOnly, (req, res) => {
+  const links = readDataFile("telegramLinks.json")
+  const users = readDataFile("users.json").map((user) => toPublicUser(user, links))
+
+  res.json(users)
+})
+
+app.get("/api/users/:id", authenticateToken, adminOnly, (req, res) => {
+  const user = store.find("users", { id: req.params.id })[0]
+
+  if (!user) {
+    return res.status(404).json({ error: "Foydalanuvchi topilmadi" })
   }
+
+  res.json({
+    ...toPublicUser(user, readDataFile("telegramLinks.json")),
+    groups: groupsOfUser(user.id).map((group) => ({ id: group.id, name: group.name })),
+  })
 })
 
-// Modify the existing test creation route to support background images
-app.post("/api/tests", authenticateToken, adminOnly, (req, res) => {
-  const { title, description, duration, questions, backgroundImage } = req.body
+app.post("/api/users", authenticateToken, adminOnly, (req, res) => {
+  const { username, password, name, role = "student", phone, telegram } = req.body
 
-  if (!title || !duration || !questions || !Array.isArray(questions) || questions.length === 0) {
-    return res.status(400).json({ error: "Barcha ma'lumotlar to'g'ri formatda kiritilishi shart" })
+  const validationError = validateUserInput({ username, password, name, role, phone, telegram }, { creating: true })
+  if (validationError) {
+    return res.status(400).json({ error: validationError })
   }
 
-  const newTest = {
+  const users = readDataFile("users.json")
+  if (users.some((u) => u.username === username.trim())) {
+    return res.status(400).json({ error: "Bu foydalanuvchi nomi allaqachon mavjud" })
+  }
+
+  const newUser = {
     id: uuidv4(),
-    title,
-    description: description || "",
-    duration, // minutes
-    createdBy: req.user.id,
+    username: username.trim(),
+    password: bcrypt.hashSync(password, 10),
+    name: name.trim(),
+    role,
+    phone: phone ? normalizePhone(phone) : null,
+    phoneVerified: false,
+    telegram: telegram ? telegram.replace(/^@/, "") : null,
     createdAt: new Date().toISOString(),
-    published: false,
-    backgroundImage: backgroundImage || null,
-    questions: questions.map((q) => ({
-      id: uuidv4(),
-      ...q,
-    })),
+    createdBy: req.user.id,
   }
 
-  const tests = readDataFile("tests.json")
-  tests.push(newTest)
-  writeDataFile("tests.json", tests)
+  users.push(newUser)
+  writeDataFile("users.json", users)
 
-  res.status(201).json(newTest)
+  res.status(201).json(toPublicUser(newUser))
 })
 
-app.get("/api/tests", authenticateToken, (req, res) => {
-  const tests = readDataFile("tests.json")
+// Whether removing admin rights from a user would leave the platform without an active admin
+const isLastAdmin = (users, userId) =>
+  !users.some((u) => u.id !== userId && u.role === "admin" && !u.blocked)
 
-  // Filter tests based on user role
-  let filteredTests
-  if (req.user.role === "admin") {
-    filteredTests = tests.map((test) => ({
-      id: test.id,
-      title: test.title,
-      description: test.description,
-      duration: test.duration,
-      createdAt: test.createdAt,
-      published: test.published,
-      questionCount: test.questions.length,
-    }))
-  } else {
-    // For students, only show published tests and don't include questions
-    filteredTests = tests
-      .filter((test) => test.published)
-      .map((test) => ({
-        id: test.id,
-        title: test.title,
-        description: test.description,
-        duration: test.duration,
-        questionCount: test.questions.length,
-      }))
-  }
+app.put("/api/users/:id", authenticateToken, adminOnly, (req, res) => {
+  const { name, role, phone, telegram } = req.body
 
-  res.json(filteredTests)
-})
+  const validationError = validateUserInput({ name, role, phone, telegram })
+  if (validationError) {
+    return res.status(400).json({ error: validationError })
+  }
 
-app.get("/api/tests/:id", authenticateToken, (req, res) => {
-  const { id } = req.params
-  const tests = readDataFile("tests.json")
-  const test = tests.find((t) => t.id === id)
+  const users = readDataFile("users.json")
+  const user = users.find((u) => u.id === req.params.id)
 
-  if (!test) {
-    return res.status(404).json({ error: "Test topilmadi" })
+  if (!user) {
+    return res.status(404).json({ error: "Foydalanuvchi topilmadi" })
   }
 
-  // Check if the test is published or the user is an admin
-  if (!test.published && req.user.role !== "admin") {
-    return res.status(403).json({ error: "Bu test hali e'lon qilinmagan" })
+  if (role !== undefined && role !== "admin" && user.role === "admin" && isLastAdmin(users, user.id)) {
+    return res.status(400).json({ error: "Oxirgi adminning rolini o'zgartirib bo'lmaydi" })
   }
 
-  // For students, don't include correct answers
-  if (req.user.role !== "admin") {
-    const testForStudent = {
-      ...test,
-      questions: test.questions.map((q) => ({
-        id: q.id,
-        text: q.text,
-        type: q.type,
-        image: q.image,
-        options: q.options ? q.options.map((o) => ({ id: o.id, text: o.text })) : undefined,
-      })),
-    }
-    return res.json(testForStudent)
+  if (name !== undefined) user.name = name.trim()
+  if (role !== undefined) user.role = role
+  if (telegram !== undefined) user.telegram = telegram ? telegram.replace(/^@/, "") : null
+  if (phone !== undefined) {
+    const normalized = phone ? normalizePhone(phone) : null
+    // A new number has not been confirmed through Telegram
+    if (normalized !== user.phone) user.phoneVerified = false
+    user.phone = normalized
   }
+  user.updatedAt = new Date().toISOString()
 
-  res.json(test)
+  writeDataFile("users.json", users)
+  res.json(toPublicUser(user, readDataFile("telegramLinks.json")))
 })
 
-app.put("/api/tests/:id", authenticateToken, adminOnly, (req, res) => {
-  const { id } = req.params
-  const updates = req.body
-
-  const tests = readDataFile("tests.json")
-  const testIndex = tests.findIndex((t) => t.id === id)
+// Set a new password; without one in the body a random password is generated and returned once
+app.post("/api/users/:id/reset-password", authenticateToken, adminOnly, (req, res) => {
+  const generated = !req.body.password
+  const password = req.body.password || generatePassword()
 
-  if (testIndex === -1) {
-    return res.status(404).json({ error: "Test topilmadi" })
+  const validationError = validateUserInput({ password })
+  if (validationError) {
+    return res.status(400).json({ error: validationError })
   }
 
-  tests[testIndex] = {
-    ...tests[testIndex],
-    ...updates,
-    updatedAt: new Date().toISOString(),
+  const users = readDataFile("users.json")
+  const user = users.find((u) => u.id === req.params.id)
+
+  if (!user) {
+    return res.status(404).json({ error: "Foydalanuvchi topilmadi" })
   }
 
-  writeDataFile("tests.json", tests)
-  res.json(tests[testIndex])
-})
+  user.password = bcrypt.hashSync(password, 10)
+  user.passwordChangedAt = new Date().toISOString()
+  writeDataFile("users.json", users)
+  auth.revokeUserSessions(user.id)
 
-app.delete("/api/tests/:id", authenticateToken, adminOnly, (req, res) => {
-  const { id } = req.params
+  res.json({
+    message: "Parol yangilandi",
+    ...(generated ? { password } : {}),
+  })
+})
 
-  const tests = readDataFile("tests.json")
-  const filteredTests = tests.filter((t) => t.id !== id)
+app.post("/api/users/:id/block", authenticateToken, adminOnly, (req, res) => {
+  const users = readDataFile("users.json")
+  const user = users.find((u) => u.id === req.params.id)
 
-  if (filteredTests.length === tests.length) {
-    return res.status(404).json({ error: "Test topilmadi" })
+  if (!user) {
+    return res.status(404).json({ error: "Foydalanuvchi topilmadi" })
   }
 
-  writeDataFile("tests.json", filteredTests)
+  if (user.id === req.user.id) {
+    return res.status(400).json({ error: "O'zingizni bloklay olmaysiz" })
+  }
 
-  // Also delete related results
-  const results = readDataFile("results.json")
-  const filteredResults = results.filter((r) => r.testId !== id)
-  writeDataFile("results.json", filteredResults)
+  user.blocked = true
+  user.blockedAt = new Date().toISOString()
+  user.blockedReason = req.body.reason || null
+  user.blockedBy = req.user.id
+  writeDataFile("users.json", users)
 
-  res.json({ message: "Test muvaffaqiyatli o'chirildi" })
+  res.json({ message: "Foydalanuvchi bloklandi", user: toPublicUser(user) })
 })
 
-app.put("/api/tests/:id/publish", authenticateToken, adminOnly, (req, res) => {
-  const { id } = req.params
-  const { published } = req.body
-
-  const tests = readDataFile("tests.json")
-  const testIndex = tests.findIndex((t) => t.id === id)
+app.post("/api/users/:id/unblock", authenticateToken, adminOnly, (req, res) => {
+  const users = readDataFile("users.json")
+  const user = users.find((u) => u.id === req.params.id)
 
-  if (testIndex === -1) {
-    return res.status(404).json({ error: "Test topilmadi" })
+  if (!user) {
+    return res.status(404).json({ error: "Foydalanuvchi topilmadi" })
   }
 
-  tests[testIndex].published = published
-  tests[testIndex].updatedAt = new Date().toISOString()
+  user.blocked = false
+  user.blockedAt = null
+  user.blockedReason = null
+  user.blockedBy = null
+  // Also lifts a temporary lockout from failed logins
+  user.failedLogins = 0
+  user.lockedUntil = null
+  writeDataFile("users.json", users)
 
-  writeDataFile("tests.json", tests)
-  res.json({ message: published ? "Test e'lon qilindi" : "Test e'londan olindi" })
+  res.json({ message: "Foydalanuvchi blokdan chiqarildi", user: toPublicUser(user) })
 })
 
-// Results routes
-// Modify the results route to handle multiple correct answers
-app.post("/api/results", authenticateToken, (req, res) => {
-  const { testId, answers } = req.body
-  const userId = req.user.id
+// Delete a user; ?results=keep (default) leaves their results as they are,
+// ?results=anonymize keeps the scores for statistics but removes the link to the person
+app.delete("/api/users/:id", authenticateToken, adminOnly, (req, res) => {
+  const { id } = req.params
+  const resultsMode = req.query.results || "keep"
+
+  if (!["keep", "anonymize"].includes(resultsMode)) {
+    return res.status(400).json({ error: "results parametri keep yoki anonymize bo'lishi kerak" })
+  }
+
+  const users = readDataFile("users.json")
+  const user = users.find((u) => u.id === id)
+
+  if (!user) {
+    return res.status(404).json({ error: "Foydalanuvchi topilmadi" })
+  }
+
+  if (user.id === req.user.id) {
+    return res.status(400).json({ error: "O'zingizni o'chira olmaysiz" })
+  }
+
+  if (user.role === "admin" && isLastAdmin(users, user.id)) {
+    return res.status(400).json({ error: "Oxirgi adminni o'chirib bo'lmaydi" })
+  }
+
+  writeDataFile("users.json", users.filter((u) => u.id !== id))
+  telegramLinks.unlinkTelegram(id)
+  auth.revokeUserSessions(id)
+  removeFromGroups(id)
+
+  // Running attempts cannot be finished by anyone anymore
+  store.update("attempts", (attempts) => attempts.filter((a) => !(a.userId === id && a.status === "in-progress")))
+
+  let anonymized = 0
+  if (resultsMode === "anonymize") {
+    store.update("results", (results) =>
+      results.map((r) => {
+        if (r.userId !== id) return r
+        anonymized++
+        return { ...r, userId: null, anonymized: true }
+      }),
+    )
+    store.update("attempts", (attempts) => attempts.map((a) => (a.userId === id ? { ...a, userId: null } : a)))
+  }
+
+  res.json({ message: "Foydalanuvchi o'chirildi", results: resultsMode, anonymizedResults: anonymized })
+})
+
+// Group routes: admins manage student groups, teachers can list them to assign their tests
+app.get("/api/groups", authenticateToken, staffOnly, (req, res) => {
+  res.json(readDataFile("groups.json").map((group) => toPublicGroup(group)))
+})
+
+app.get("/api/groups/:id", authenticateToken, staffOnly, (req, res) => {
+  const group = store.find("groups", { id: req.params.id })[0]
+
+  if (!group) {
+    return res.status(404).json({ error: "Guruh topilmadi" })
+  }
+
+  res.json(toPublicGroup(group, readDataFile("users.json")))
+})
+
+app.post("/api/groups", authenticateToken, adminOnly, (req, res) => {
+  const { name, description, memberIds = [] } = req.body
+
+  if (!name || !name.toString().trim()) {
+    return res.status(400).json({ error: "Guruh nomi kiritilishi shart" })
+  }
+
+  const memberError = validateMemberIds(memberIds)
+  if (memberError) {
+    return res.status(400).json({ error: memberError })
+  }
+
+  const groups = readDataFile("groups.json")
+  if (groups.some((g) => g.name.toLowerCase() === name.toString().trim().toLowerCase())) {
+    return res.status(400).json({ error: "Bu nomdagi guruh allaqachon mavjud" })
+  }
+
+  const group = {
+    id: uuidv4(),
+    name: name.toString().trim(),
+    description: description || "",
+    memberIds: [...new Set(memberIds)],
+    createdBy: req.user.id,
+    createdAt: new Date().toISOString(),
+  }
+
+  store.insert("groups", group)
+  res.status(201).json(toPublicGroup(group, readDataFile("users.json")))
+})
+
+app.put("/api/groups/:id", authenticateToken, adminOnly, (req, res) => {
+  const { name, description } = req.body
+  const groups = readDataFile("groups.json")
+  const group = groups.find((g) => g.id === req.params.id)
+
+  if (!group) {
+    return res.status(404).json({ error: "Guruh topilmadi" })
+  }
+
+  if (name !== undefined) {
+    if (!name.toString().trim()) {
+      return res.status(400).json({ error: "Guruh nomi bo'sh bo'lishi mumkin emas" })
+    }
+    if (groups.some((g) => g.id !== group.id && g.name.toLowerCase() === name.toString().trim().toLowerCase())) {
+      return res.status(400).json({ error: "Bu nomdagi guruh allaqachon mavjud" })
+    }
+    group.name = name.toString().trim()
+  }
+
+  if (description !== undefined) group.description = description || ""
+  group.updatedAt = new Date().toISOString()
+  writeDataFile("groups.json", groups)
+
+  res.json(toPublicGroup(group))
+})
+
+// Add students to a group: { userIds: [...] }
+app.post("/api/groups/:id/members", authenticateToken, adminOnly, (req, res) => {
+  const { userIds } = req.body
+  const groups = readDataFile("groups.json")
+  const group = groups.find((g) => g.id === req.params.id)
+
+  if (!group) {
+    return res.status(404).json({ error: "Guruh topilmadi" })
+  }
+
+  const memberError = validateMemberIds(userIds)
+  if (memberError) {
+    return res.status(400).json({ error: memberError })
+  }
+
+  group.memberIds = [...new Set([...group.memberIds, ...userIds])]
+  group.updatedAt = new Date().toISOString()
+  writeDataFile("groups.json", groups)
+
+  res.json(toPublicGroup(group, readDataFile("users.json")))
+})
+
+app.delete("/api/groups/:id/members/:userId", authenticateToken, adminOnly, (req, res) => {
+  const groups = readDataFile("groups.json")
+  const group = groups.find((g) => g.id === req.params.id)
+
+  if (!group) {
+    return res.status(404).json({ error: "Guruh topilmadi" })
+  }
+
+  if (!group.memberIds.includes(req.params.userId)) {
+    return res.status(404).json({ error: "Foydalanuvchi bu guruhda emas" })
+  }
+
+  group.memberIds = group.memberIds.filter((id) => id !== req.params.userId)
+  group.updatedAt = new Date().toISOString()
+  writeDataFile("groups.json", groups)
+
+  res.json(toPublicGroup(group, readDataFile("users.json")))
+})
+
+app.delete("/api/groups/:id", authenticateToken, adminOnly, (req, res) => {
+  const group = store.find("groups", { id: req.params.id })[0]
+
+  if (!group) {
+    return res.status(404).json({ error: "Guruh topilmadi" })
+  }
+
+  // Removing the group from a test could open the test to every student, so that is left to the test owner
+  const assigned = readDataFile("tests.json").filter((t) => (t.groupIds || []).includes(group.id))
+  if (assigned.length > 0) {
+    return res.status(409).json({
+      error: "Guruhga testlar biriktirilgan. Avval ularni boshqa guruhga o'tkazing",
+      tests: assigned.map((t) => ({ id: t.id, title: t.title })),
+    })
+  }
+
+  store.update("groups", (groups) => groups.filter((g) => g.id !== group.id))
+  res.json({ message: "Guruh o'chirildi" })
+})
+
+// Telegram account link routes
+const formatTelegramLink = (link) =>
+  link
+    ? {
+        linked: true,
+        telegramUsername: link.telegramUsername,
+        telegramUserId: link.telegramUserId,
+        linkedAt: link.linkedAt,
+      }
+    : { linked: false }
+
+app.get("/api/telegram/link", authenticateToken, (req, res) => {
+  res.json(formatTelegramLink(telegramLinks.findLinkByUserId(req.user.id)))
+})
+
+// Issue a one-time code the user sends to the bot as "/link <code>"
+app.post("/api/telegram/link", authenticateToken, (req, res) => {
+  const { code, expiresAt } = telegramLinks.createLinkCode(req.user.id)
+  const botUsername = process.env.TELEGRAM_BOT_USERNAME || "your_bot_username"
+
+  res.json({
+    message: `Telegram botga /link ${code} buyrug'ini yuboring`,
+    code,
+    expiresAt,
+    botUsername,
+  })
+})
+
+app.delete("/api/telegram/link", authenticateToken, (req, res) => {
+  if (!telegramLinks.unlinkTelegram(req.user.id)) {
+    return res.status(404).json({ error: "Telegram hisobi bog'lanmagan" })
+  }
+  res.json({ message: "Telegram hisobi uzildi" })
+})
+
+app.delete("/api/users/:id/telegram", authenticateToken, adminOnly, (req, res) => {
+  if (!telegramLinks.unlinkTelegram(req.params.id)) {
+    return res.status(404).json({ error: "Telegram hisobi bog'lanmagan" })
+  }
+  res.json({ message: "Telegram hisobi uzildi" })
+})
+
+// Security event log: failed logins, lockouts, rate limit hits, wrong verification codes
+// ?type, ?userId, ?ip, ?since (ISO date) and ?limit (default 100, at most 1000) filter the list
+app.get("/api/security/events", authenticateToken, adminOnly, (req, res) => {
+  const { type, userId, ip, since } = req.query
+  const limit = Math.min(Number.parseInt(req.query.limit, 10) || 100, 1000)
+
+  if (since && Number.isNaN(new Date(since).getTime())) {
+    return res.status(400).json({ error: "since parametri sana bo'lishi kerak" })
+  }
+
+  res.json(security.listSecurityEvents({ type, userId, ip, since, limit }))
+})
+
+// Notification outbox routes (delivered by the worker in lib/notifications)
+app.get("/api/notifications", authenticateToken, adminOnly, (req, res) => {
+  const { status, userId } = req.query
+
+  if (status && !NOTIFICATION_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Holat quyidagilardan biri bo'lishi kerak: ${NOTIFICATION_STATUSES.join(", ")}` })
+  }
+
+  const all = readDataFile("notifications.json").map((n) => ({ ...n, status: statusOf(n), attempts: n.attempts || 0 }))
+
+  const summary = NOTIFICATION_STATUSES.reduce(
+    (counts, s) => ({ ...counts, [s]: all.filter((n) => n.status === s).length }),
+    {},
+  )
+
+  const notifications = all
+    .filter((n) => (!status || n.status === status) && (!userId || n.userId === userId))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+
+  res.json({ summary, notifications })
+})
+
+// Notification preferences of the current user
+app.get("/api/notifications/preferences", authenticateToken, (req, res) => {
+  const user = store.find("users", { id: req.user.id })[0]
+
+  if (!user) {
+    return res.status(404).json({ error: "Foydalanuvchi topilmadi" })
+  }
+
+  res.json(notificationPreferences(user))
+})
+
+// Opt in or out of notification categories: { "test-published": false, "result": true, "broadcast": true }
+app.put("/api/notifications/preferences", authenticateToken, (req, res) => {
+  const changes = req.body || {}
+  const unknown = Object.keys(changes).find((category) => !NOTIFICATION_CATEGORIES.includes(category))
+
+  if (unknown) {
+    return res
+      .status(400)
+      .json({ error: `Bildirishnoma turi quyidagilardan biri bo'lishi kerak: ${NOTIFICATION_CATEGORIES.join(", ")}` })
+  }
+
+  if (Object.values(changes).some((value) => typeof value !== "boolean")) {
+    return res.status(400).json({ error: "Qiymatlar true yoki false bo'lishi kerak" })
+  }
+
+  const users = readDataFile("users.json")
+  const user = users.find((u) => u.id === req.user.id)
+
+  if (!user) {
+    return res.status(404).json({ error: "Foydalanuvchi topilmadi" })
+  }
+
+  user.notificationPreferences = { ...notificationPreferences(user), ...changes }
+  writeDataFile("users.json", users)
+
+  res.json(user.notificationPreferences)
+})
+
+// Requeue every failed notification
+app.post("/api/notifications/requeue", authenticateToken, adminOnly, (req, res) => {
+  const failed = readDataFile("notifications.json").filter((n) => statusOf(n) === "failed")
+  failed.forEach((n) => requeueNotification(n.id))
+
+  res.json({ message: `${failed.length} ta xabar qayta navbatga qo'yildi`, requeued: failed.length })
+})
+
+app.post("/api/notifications/:id/requeue", authenticateToken, adminOnly, (req, res) => {
+  const notification = store.find("notifications", { id: req.params.id })[0]
+
+  if (!notification) {
+    return res.status(404).json({ error: "Xabar topilmadi" })
+  }
+
+  if (statusOf(notification) === "sent") {
+    return res.status(400).json({ error: "Xabar allaqachon yuborilgan" })
+  }
+
+  res.json(requeueNotification(notification.id))
+})
+
+// Question bank routes
+// Parse search filters shared by the question list and blueprint rules
+const parseQuestionFilter = (source) => ({
+  topic: source.topic || undefined,
+  difficulty: source.difficulty || undefined,
+  type: source.type || undefined,
+  author: source.author || undefined,
+  search: source.search || undefined,
+  tags: parseTags(source.tags),
+})
+
+// Questions a user may see and use: teachers work with the questions they wrote
+const visibleQuestions = (user) => {
+  const questions = readDataFile("questions.json")
+  return user.role === "admin" ? questions : questions.filter((q) => q.author === user.id)
+}
+
+// Make sure every option has an id the grader can match answers against
+const withOptionIds = (options) =>
+  Array.isArray(options) ? options.map((o) => ({ ...o, id: o.id || uuidv4(), correct: Boolean(o.correct) })) : options
+
+app.get("/api/questions", authenticateToken, staffOnly, (req, res) => {
+  const filter = parseQuestionFilter(req.query)
+  const questions = visibleQuestions(req.user).filter((q) => matchesRule(q, filter))
+
+  res.json(questions)
+})
+
+// Topics with the number of questions per difficulty, used to build blueprints
+app.get("/api/questions/topics", authenticateToken, staffOnly, (req, res) => {
+  const topics = {}
+
+  visibleQuestions(req.user).forEach((q) => {
+    const topic = q.topic || ""
+    if (!topics[topic]) {
+      topics[topic] = { topic, total: 0 }
+      DIFFICULTIES.forEach((d) => (topics[topic][d] = 0))
+    }
+    topics[topic].total++
+    if (q.difficulty) topics[topic][q.difficulty]++
+  })
+
+  res.json(Object.values(topics).sort((a, b) => a.topic.localeCompare(b.topic)))
+})
+
+app.get("/api/questions/:id", authenticateToken, staffOnly, (req, res) => {
+  const question = visibleQuestions(req.user).find((q) => q.id === req.params.id)
+
+  if (!question) {
+    return res.status(404).json({ error: "Savol topilmadi" })
+  }
+
+  res.json(question)
+})
+
+// Create one question, or several at once with { questions, topic, difficulty, tags } shared defaults
+app.post("/api/questions", authenticateToken, staffOnly, (req, res) => {
+  const { questions: batch, ...defaults } = req.body
+  const incoming = Array.isArray(batch) ? batch.map((q) => ({ ...defaults, ...q })) : [req.body]
+
+  if (incoming.length === 0) {
+    return res.status(400).json({ error: "Kamida bitta savol kiritilishi shart" })
+  }
+
+  for (let i = 0; i < incoming.length; i++) {
+    const error = validateBankQuestion(incoming[i])
+    if (error) {
+      return res.status(400).json({ error, index: i })
+    }
+  }
+
+  const now = new Date().toISOString()
+  const created = incoming.map((data) => ({
+    ...data,
+    id: uuidv4(),
+    text: data.text.trim(),
+    type: data.type || "multiple-choice",
+    options: withOptionIds(data.options),
+    image: data.image || null,
+    topic: (data.topic || "").trim(),
+    difficulty: data.difficulty || "medium",
+    tags: parseTags(data.tags),
+    author: req.user.id,
+    createdAt: now,
+  }))
+
+  const questions = readDataFile("questions.json")
+  questions.push(...created)
+  writeDataFile("questions.json", questions)
+
+  res.status(201).json(Array.isArray(batch) ? created : created[0])
+})
+
+app.put("/api/questions/:id", authenticateToken, staffOnly, (req, res) => {
+  const questions = readDataFile("questions.json")
+  const questionIndex = questions.findIndex(
+    (q) => q.id === req.params.id && (req.user.role === "admin" || q.author === req.user.id),
+  )
+
+  if (questionIndex === -1) {
+    return res.status(404).json({ error: "Savol topilmadi" })
+  }
+
+  const { id, author, createdAt, ...updates } = req.body
+  const updated = { ...questions[questionIndex], ...updates }
+  if (updates.tags !== undefined) updated.tags = parseTags(updates.tags)
+  if (updates.topic !== undefined) updated.topic = (updates.topic || "").trim()
+  if (updates.options !== undefined) updated.options = withOptionIds(updates.options)
+
+  const error = validateBankQuestion(updated)
+  if (error) {
+    return res.status(400).json({ error })
+  }
+
+  updated.updatedAt = new Date().toISOString()
+  questions[questionIndex] = updated
+  writeDataFile("questions.json", questions)
+
+  res.json(updated)
+})
+
+app.delete("/api/questions/:id", authenticateToken, staffOnly, (req, res) => {
+  const questions = readDataFile("questions.json")
+  const filteredQuestions = questions.filter(
+    (q) => !(q.id === req.params.id && (req.user.role === "admin" || q.author === req.user.id)),
+  )
+
+  if (filteredQuestions.length === questions.length) {
+    return res.status(404).json({ error: "Savol topilmadi" })
+  }
+
+  writeDataFile("questions.json", filteredQuestions)
+  res.json({ message: "Savol o'chirildi" })
+})
+
+// Test routes
+// Add this route to your server.js file, near the other test routes
+app.post("/api/tests/import", authenticateToken, staffOnly, upload.single("testFile"), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: "Test file is required" })
+    }
+
+    const format = req.query.format || req.body.format || "auto"
+    if (format !== "auto" && !importFormats.includes(format)) {
+      return res.status(400).json({ error: `Unsupported format. Use one of: auto, ${importFormats.join(", ")}` })
+    }
+
+    const dryRun = req.query.dryRun === "true" || req.body.dryRun === "true"
+    const isZip = path.extname(req.file.originalname).toLowerCase() === ".zip"
+
+    // A ZIP bundles the question file with its images; anything else is parsed directly
+    // with the requested importer, or the detected format
+    let imported
+    if (isZip) {
+      try {
+        imported = importZip(req.file.path, { format, uploadsDir, dryRun })
+      } catch (err) {
+        return res.status(400).json({ error: "Invalid ZIP archive" })
+      }
+    } else {
+      const fileContent = fs.readFileSync(req.file.path, "utf8")
+      imported = importQuestions(fileContent, { format, fileName: req.file.originalname })
+    }
+
+    const { questions, errors, warnings, format: detectedFormat } = imported
+
+    // Dry run: always report the diagnostics next to the parsed questions so authors can fix the file
+    if (dryRun) {
+      return res.json({
+        dryRun: true,
+        format: detectedFormat,
+        valid: errors.length === 0 && questions.length > 0,
+        questions,
+        errors,
+        warnings,
+      })
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `The file has ${errors.length} error(s)`, errors, warnings })
+    }
+
+    if (questions.length === 0) {
+      return res.status(400).json({ error: "No valid questions found in the file", errors, warnings })
+    }
+
+    // Return the parsed questions
+    res.json({
+      message: `Successfully parsed ${questions.length} questions`,
+      format: detectedFormat,
+      questions: questions,
+      warnings,
+    })
+  } catch (error) {
+    console.error("Error importing test:", error)
+    res.status(500).json({ error: "Failed to import test file" })
+  }
+})
+
+// Add this route to handle question image uploads
+app.post("/api/upload/image", authenticateToken, staffOnly, upload.single("image"), (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: "Image file is required" })
+    }
+
+    // Return the path to the uploaded image
+    const imagePath = `/uploads/${req.file.filename}`
+    res.json({
+      message: "Image uploaded successfully",
+      imagePath: imagePath,
+    })
+  } catch (error) {
+    console.error("Error uploading image:", error)
+    res.status(500).json({ error: "Failed to upload image" })
+  }
+})
+
+// Create a test from a question bank blueprint, e.g.
+// [{ topic: "Algebra", difficulty: "easy", count: 5 }, { topic: "Geometry", difficulty: "hard", count: 3 }]
+// Every question matching a rule is copied into the test's pool and each attempt draws its own set
+app.post("/api/tests/random", authenticateToken, staffOnly, (req, res) => {
+  try {
+    const { title, description, duration, blueprint } = req.body
+
+    if (!title || !duration || !blueprint || !Array.isArray(blueprint) || blueprint.length === 0) {
+      return res.status(400).json({ error: "All required fields must be provided" })
+    }
+
+    const parsedRules = blueprint.map((rule) => ({ ...parseQuestionFilter(rule), count: Number(rule.count) }))
+
+    if (parsedRules.some((rule) => !Number.isInteger(rule.count) || rule.count < 1)) {
+      return res.status(400).json({ error: "Each blueprint rule needs a positive question count" })
+    }
+
+    const bank = visibleQuestions(req.user)
+    // Overlapping rules draw the most restrictive first, so broad rules cannot use up their questions
+    const rules = orderBlueprint(bank, parsedRules)
+    const pool = bank.filter((q) => rules.some((rule) => matchesRule(q, rule)))
+    const shortages = blueprintShortages(bank, rules).map((shortage) => ({
+      ...shortage,
+      rule: parsedRules.indexOf(rules[shortage.rule]),
+    }))
+
+    const totalCount = rules.reduce((sum, rule) => sum + rule.count, 0)
+
+    if (shortages.length > 0) {
+      return res.status(400).json({ error: "Not enough questions in the bank for this blueprint", shortages })
+    }
+
+    const settingsError = validateTestSettings(req.body)
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError })
+    }
+
+    // Create the test
+    const newTest = {
+      id: uuidv4(),
+      title,
+      description: description || "",
+      duration,
+      createdBy: req.user.id,
+      createdAt: new Date().toISOString(),
+      published: false,
+      backgroundImage: req.body.backgroundImage || null,
+      blueprint: rules,
+      drawCount: totalCount,
+      shuffleQuestions: true,
+      shuffleOptions: req.body.shuffleOptions !== false,
+      ...testSettings(req.body),
+      questions: pool.map((q) => ({
+        ...q,
+        id: uuidv4(),
+        bankQuestionId: q.id,
+      })),
+    }
+
+    const tests = readDataFile("tests.json")
+    tests.push(newTest)
+    writeDataFile("tests.json", tests)
+
+    res.status(201).json(newTest)
+  } catch (error) {
+    console.error("Error creating random test:", error)
+    res.status(500).json({ error: "Failed to create test" })
+  }
+})
+
+// Modify the existing test creation route to support background images
+app.post("/api/tests", authenticateToken, staffOnly, (req, res) => {
+  const {
+    title,
+    description,
+    duration,
+    questions,
+    backgroundImage,
+    drawCount,
+    shuffleQuestions,
+    shuffleOptions,
+    penalty,
+    partialCredit,
+  } = req.body
 
-  if (!testId || !answers || !Array.isArray(answers)) {
+  if (!title || !duration || !questions || !Array.isArray(questions) || questions.length === 0) {
     return res.status(400).json({ error: "Barcha ma'lumotlar to'g'ri formatda kiritilishi shart" })
   }
 
-  // Get the test
+  const scoringError = validateScoring({ penalty, partialCredit }) || questions.map(validateScoring).find(Boolean)
+  if (scoringError) {
+    return res.status(400).json({ error: scoringError })
+  }
+
+  const settingsError = validateTestSettings(req.body)
+  if (settingsError) {
+    return res.status(400).json({ error: settingsError })
+  }
+
+  const newTest = {
+    id: uuidv4(),
+    title,
+    description: description || "",
+    duration, // minutes
+    createdBy: req.user.id,
+    createdAt: new Date().toISOString(),
+    published: false,
+    backgroundImage: backgroundImage || null,
+    drawCount: drawCount ? Math.min(Number(drawCount), questions.length) : null, // null = every question
+    shuffleQuestions: Boolean(shuffleQuestions),
+    shuffleOptions: Boolean(shuffleOptions),
+    penalty: Number(penalty) || 0, // points lost per wrong answer unless a question sets its own
+    partialCredit: partialCredit || "all-or-nothing",
+    // Who may take the test, when, and how many times (see testAvailability in lib/tests)
+    ...testSettings(req.body),
+    questions: questions.map((q) => ({
+      id: uuidv4(),
+      ...q,
+    })),
+  }
+
   const tests = readDataFile("tests.json")
-  const test = tests.find((t) => t.id === testId)
+  tests.push(newTest)
+  writeDataFile("tests.json", tests)
+
+  res.status(201).json(newTest)
+})
+
+app.get("/api/tests", authenticateToken, (req, res) => {
+  const tests = readDataFile("tests.json")
+
+  // Filter tests based on user role
+  let filteredTests
+  if (isStaff(req.user)) {
+    // Admins see every test, teachers the tests they own; archived tests only with ?archived=true
+    const archived = req.query.archived === "true"
+    filteredTests = managedTests(req.user, tests)
+      .filter((test) => Boolean(test.archived) === archived)
+      .map((test) => ({
+        ...summarizeTest(test, { admin: true }),
+        createdBy: test.createdBy,
+      }))
+  } else {
+    // Students only see the tests they can take right now: published, assigned to one of
+    // their groups, inside the availability window and with attempts left
+    finalizeExpiredAttempts()
+    filteredTests = availableTests(req.user).map(({ test, availability }) => ({
+      ...summarizeTest(test),
+      attemptsUsed: availability.attemptsUsed,
+      attemptsLeft: availability.attemptsLeft,
+      inProgress: availability.running,
+    }))
+  }
+
+  res.json(filteredTests)
+})
+
+app.get("/api/tests/:id", authenticateToken, (req, res) => {
+  const { id } = req.params
+  const tests = readDataFile("tests.json")
+  const test = tests.find((t) => t.id === id)
 
   if (!test) {
     return res.status(404).json({ error: "Test topilmadi" })
   }
 
-  // Calculate score
-  let correctCount = 0
-  const gradedAnswers = answers.map((answer) => {
-    const question = test.questions.find((q) => q.id === answer.questionId)
-    let correct = false
-
-    if (question) {
-      if (question.type === "multiple-choice") {
-        const correctOption = question.options.find((o) => o.correct)
-        correct = answer.optionId === correctOption.id
-      } else if (question.type === "multiple-answer") {
-        // For multiple-answer questions, all correct options must be selected
-        // and no incorrect options should be selected
-        if (answer.selectedOptions && Array.isArray(answer.selectedOptions)) {
-          const correctOptions = question.options.filter((o) => o.correct).map((o) => o.id)
-          const incorrectOptions = question.options.filter((o) => !o.correct).map((o) => o.id)
-
-          // Check if all correct options are selected
-          const allCorrectSelected = correctOptions.every((id) => answer.selectedOptions.includes(id))
-
-          // Check if no incorrect options are selected
-          const noIncorrectSelected = !answer.selectedOptions.some((id) => incorrectOptions.includes(id))
-
-          correct = allCorrectSelected && noIncorrectSelected
-        }
-      } else if (question.type === "text") {
-        // Simple text comparison - could be improved with more sophisticated matching
-        correct = answer.text.trim().toLowerCase() === question.correctAnswer.trim().toLowerCase()
-      }
+  const manages = canManageTest(req.user, test)
+
+  // Check if the test is published and assigned to the user, or the user manages it
+  if ((!test.published || test.archived) && !manages) {
+    return res.status(403).json({ error: "Bu test hali e'lon qilinmagan" })
+  }
+
+  if (!manages && !isStaff(req.user) && !isAssigned(test, req.user)) {
+    return res.status(403).json({ error: "Bu test sizning guruhingizga biriktirilmagan" })
+  }
+
+  // For students (and other teachers), don't include correct answers
+  if (!manages) {
+    const testForStudent = {
+      ...test,
+      questions: test.questions.map(toStudentQuestion),
+    }
+    return res.json(testForStudent)
+  }
+
+  res.json(test)
+})
+
+// Edit a test. Editing a published test creates a new version; attempts and results keep
+// the version they were taken against (see lib/testVersions)
+app.put("/api/tests/:id", authenticateToken, staffOnly, loadManagedTest, (req, res) => {
+  const { id } = req.params
+  // Ownership changes through PUT /api/tests/:id/owner, publication through /publish, archiving
+  // through DELETE and /restore; versions are managed by the server
+  const {
+    id: ignoredId,
+    createdBy,
+    createdAt,
+    published,
+    archived,
+    archivedAt,
+    archivedBy,
+    version,
+    versionId,
+    ...updates
+  } = req.body
+
+  if (updates.questions !== undefined && (!Array.isArray(updates.questions) || updates.questions.length === 0)) {
+    return res.status(400).json({ error: "Barcha ma'lumotlar to'g'ri formatda kiritilishi shart" })
+  }
+
+  const scoringError = validateScoring(updates) || (updates.questions || []).map(validateScoring).find(Boolean)
+  if (scoringError) {
+    return res.status(400).json({ error: scoringError })
+  }
+
+  const settingsError = validateTestSettings({ ...req.test, ...updates })
+  if (settingsError) {
+    return res.status(400).json({ error: settingsError })
+  }
+
+  for (const field of ["opensAt", "closesAt"]) {
+    if (updates[field]) updates[field] = new Date(updates[field]).toISOString()
+  }
+
+  if (updates.questions) {
+    updates.questions = updates.questions.map((q) => ({ ...q, id: q.id || uuidv4() }))
+  }
+
+  // Every attempt of a blueprint test must still be able to draw a full paper
+  const blueprint = updates.blueprint !== undefined ? updates.blueprint : req.test.blueprint
+  if (Array.isArray(blueprint) && blueprint.length > 0) {
+    const questions = updates.questions || req.test.questions
+    const rules = updates.blueprint !== undefined ? orderBlueprint(questions, blueprint) : blueprint
+    const shortages = blueprintShortages(questions, rules).map((shortage) => ({
+      ...shortage,
+      rule: blueprint.indexOf(rules[shortage.rule]),
+    }))
+    if (updates.blueprint !== undefined) updates.blueprint = rules
+    if (shortages.length > 0) {
+      return res.status(400).json({ error: "Not enough questions in the test for its blueprint", shortages })
+    }
+  }
+
+  // Keep what students were graded against before changing it
+  if (req.test.published) ensureVersion(req.test, req.user.id)
+
+  const tests = readDataFile("tests.json")
+  const testIndex = tests.findIndex((t) => t.id === id)
+
+  tests[testIndex] = {
+    ...tests[testIndex],
+    ...updates,
+    updatedAt: new Date().toISOString(),
+  }
+
+  writeDataFile("tests.json", tests)
+
+  // Drafts are versioned when they are published or first attempted
+  if (tests[testIndex].published) ensureVersion(tests[testIndex], req.user.id)
+
+  res.json(store.find("tests", { id })[0])
+})
+
+// Archive a test: students can no longer see or start it, but its results, attempts
+// and versions are kept and it can be restored
+app.delete("/api/tests/:id", authenticateToken, staffOnly, loadManagedTest, (req, res) => {
+  if (req.test.archived) {
+    return res.status(409).json({ error: "Test allaqachon arxivlangan" })
+  }
+
+  store.update("tests", (tests) =>
+    tests.map((t) =>
+      t.id === req.test.id ? { ...t, archived: true, archivedAt: new Date().toISOString(), archivedBy: req.user.id } : t,
+    ),
+  )
+
+  res.json({ message: "Test arxivlandi" })
+})
+
+app.post("/api/tests/:id/restore", authenticateToken, staffOnly, loadManagedTest, (req, res) => {
+  if (!req.test.archived) {
+    return res.status(409).json({ error: "Test arxivlanmagan" })
+  }
+
+  let restored = null
+  store.update("tests", (tests) =>
+    tests.map((t) => {
+      if (t.id !== req.test.id) return t
+      restored = { ...t, archived: false, archivedAt: null, archivedBy: null, updatedAt: new Date().toISOString() }
+      return restored
+    }),
+  )
+
+  res.json({ message: "Test arxivdan tiklandi", test: summarizeTest(restored, { admin: true }) })
+})
+
+// Versions of a test, oldest first
+app.get("/api/tests/:id/versions", authenticateToken, staffOnly, loadManagedTest, (req, res) => {
+  const results = store.find("results", { testId: req.test.id })
+
+  res.json(
+    listVersions(req.test.id).map((v) => ({
+      id: v.id,
+      version: v.version,
+      title: v.content.title,
+      questionCount: (v.content.questions || []).length,
+      resultCount: results.filter((r) => r.versionId === v.id).length,
+      current: v.id === req.test.versionId,
+      createdBy: v.createdBy,
+      createdAt: v.createdAt,
+    })),
+  )
+})
+
+// Compare two versions: ?from=1&to=2 (to defaults to the latest version)
+// Registered before /versions/:version so "diff" is not read as a version number
+app.get("/api/tests/:id/versions/diff", authenticateToken, staffOnly, loadManagedTest, (req, res) => {
+  const versions = listVersions(req.test.id)
+  const from = findVersion(req.test.id, req.query.from)
+  const to = req.query.to ? findVersion(req.test.id, req.query.to) : versions[versions.length - 1]
+
+  if (!from || !to) {
+    return res.status(404).json({ error: "Test versiyasi topilmadi" })
+  }
+
+  res.json(diffVersions(from, to))
+})
+
+app.get("/api/tests/:id/versions/:version", authenticateToken, staffOnly, loadManagedTest, (req, res) => {
+  const version = findVersion(req.test.id, req.params.version)
+
+  if (!version) {
+    return res.status(404).json({ error: "Test versiyasi topilmadi" })
+  }
+
+  res.json(version)
+})
+
+app.put("/api/tests/:id/publish", authenticateToken, staffOnly, loadManagedTest, (req, res) => {
+  const { id } = req.params
+  const { published } = req.body
+
+  if (published && req.test.archived) {
+    return res.status(409).json({ error: "Arxivlangan testni e'lon qilib bo'lmaydi. Avval uni tiklang" })
+  }
+
+  // Students are notified about newly published tests, and the published content is versioned (see lib/tests)
+  if (!setTestPublished(id, published, req.user.id)) {
+    return res.status(404).json({ error: "Test topilmadi" })
+  }
+
+  res.json({ message: published ? "Test e'lon qilindi" : "Test e'londan olindi" })
+})
+
+// Regrade stored results after an answer key correction (see lib/regrade)
+// { action: "rekey" | "accept-all" | "drop", questionId, reason, notify, dryRun }
+// rekey grades again with the test's current key; fix the key with PUT /api/tests/:id first
+app.post("/api/tests/:id/regrade", authenticateToken, staffOnly, loadManagedTest, (req, res) => {
+  const { action = "rekey", questionId = null, reason = null, notify = false, dryRun = false } = req.body
+
+  if (!REGRADE_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `action quyidagilardan biri bo'lishi kerak: ${REGRADE_ACTIONS.join(", ")}` })
+  }
+
+  if (action !== "rekey" && !questionId) {
+    return res.status(400).json({ error: "Bu amal uchun savol (questionId) ko'rsatilishi shart" })
+  }
+
+  if (questionId && !req.test.questions.some((q) => q.id === questionId)) {
+    return res.status(404).json({ error: "Savol topilmadi" })
+  }
+
+  const summary = regradeTest(req.test, {
+    questionId,
+    action,
+    notify: Boolean(notify),
+    dryRun: Boolean(dryRun),
+    userId: req.user.id,
+    reason,
+  })
+
+  res.json({
+    message: dryRun ? "Qayta baholash natijalari (saqlanmadi)" : "Natijalar qayta baholandi",
+    ...summary,
+  })
+})
+
+// Test statistics and item analysis: score distribution, mean, median, standard deviation,
+// KR-20 / Cronbach's alpha, and per question difficulty, discrimination and option counts
+// ?version=N only analyses results of that version, ?bins sets the distribution bins (default 10)
+app.get("/api/tests/:id/analytics", authenticateToken, staffOnly, loadManagedTest, (req, res) => {
+  const bins = Number.parseInt(req.query.bins, 10) || 10
+  let results = store.find("results", { testId: req.test.id })
+
+  if (bins < 1 || bins > 100) {
+    return res.status(400).json({ error: "bins 1 dan 100 gacha bo'lishi kerak" })
+  }
+
+  if (req.query.version) {
+    const version = findVersion(req.test.id, req.query.version)
+    if (!version) {
+      return res.status(404).json({ error: "Test versiyasi topilmadi" })
     }
+    results = results.filter((r) => r.versionId === version.id)
+  }
 
-    if (correct) correctCount++
+  res.json(testAnalytics(req.test, results, { bins }))
+})
 
-    return { ...answer, correct }
+// Score that counts for each student under the test's retake policy
+app.get("/api/tests/:id/scores", authenticateToken, staffOnly, loadManagedTest, (req, res) => {
+  res.json({
+    testId: req.test.id,
+    retakePolicy: req.test.retakePolicy || "best",
+    scores: testScores(req.test),
   })
+})
 
-  const score = (correctCount / test.questions.length) * 100
+// Hand a test over to another teacher or admin
+app.put("/api/tests/:id/owner", authenticateToken, adminOnly, loadManagedTest, (req, res) => {
+  const { userId } = req.body
+  const owner = userId && store.find("users", { id: userId })[0]
 
-  // Save result
-  const newResult = {
-    id: uuidv4(),
-    testId,
-    userId,
-    answers: gradedAnswers,
-    score,
-    correctCount,
-    totalQuestions: test.questions.length,
-    submittedAt: new Date().toISOString(),
+  if (!owner) {
+    return res.status(404).json({ error: "Foydalanuvchi topilmadi" })
+  }
+
+  if (!STAFF_ROLES.includes(owner.role)) {
+    return res.status(400).json({ error: "Test egasi o'qituvchi yoki admin bo'lishi kerak" })
+  }
+
+  let updated = null
+  store.update("tests", (tests) =>
+    tests.map((t) => {
+      if (t.id !== req.test.id) return t
+      updated = { ...t, createdBy: owner.id, updatedAt: new Date().toISOString() }
+      return updated
+    }),
+  )
+
+  res.json({ message: "Test egasi o'zgartirildi", testId: updated.id, createdBy: updated.createdBy })
+})
+
+// Attempt routes
+// Start a timed attempt; the server records the start time and deadline
+app.post("/api/tests/:id/attempts", authenticateToken, (req, res) => {
+  const { id } = req.params
+  const userId = req.user.id
+
+  const tests = readDataFile("tests.json")
+  const test = tests.find((t) => t.id === id)
+
+  if (!test) {
+    return res.status(404).json({ error: "Test topilmadi" })
+  }
+
+  // Staff preview their tests without limits; students need the test to be open to them
+  if (!canManageTest(req.user, test)) {
+    finalizeExpiredAttempts()
+    const availability = testAvailability(test, req.user)
+
+    if (!availability.available) {
+      return res.status(403).json({ error: availability.message, reason: availability.reason })
+    }
   }
 
-  const results = readDataFile("results.json")
-  results.push(newResult)
-  writeDataFile("results.json", results)
+  const { attempt, created } = startAttempt(test, userId)
+
+  res.status(created ? 201 : 200).json({
+    id: attempt.id,
+    testId: attempt.testId,
+    startedAt: attempt.startedAt,
+    deadline: attempt.deadline,
+    serverTime: new Date().toISOString(),
+    savedAnswers: attempt.savedAnswers,
+    questions: buildPaper(testAtVersion(test, attempt.versionId), attempt.seed).map(toStudentQuestion),
+  })
+})
+
+app.get("/api/attempts/:id", authenticateToken, (req, res) => {
+  const { id } = req.params
+
+  finalizeExpiredAttempts()
+
+  const attempts = readDataFile("attempts.json")
+  const attempt = attempts.find((a) => a.id === id)
+
+  const test = attempt && readDataFile("tests.json").find((t) => t.id === attempt.testId)
+  const manages = canManageTest(req.user, test)
+
+  if (!attempt || (attempt.userId !== req.user.id && !manages)) {
+    return res.status(404).json({ error: "Urinish topilmadi" })
+  }
+
+  const paper = test ? buildPaper(testAtVersion(test, attempt.versionId), attempt.seed) : []
+
+  res.json({
+    ...attempt,
+    questions: manages ? paper : paper.map(toStudentQuestion),
+    serverTime: new Date().toISOString(),
+    remainingSeconds: remainingSeconds(attempt),
+  })
+})
+
+// Save answers while the attempt is running so they survive an abandoned session
+app.put("/api/attempts/:id/answers", authenticateToken, (req, res) => {
+  const { id } = req.params
+  const { answers } = req.body
+
+  if (!answers || !Array.isArray(answers)) {
+    return res.status(400).json({ error: "Barcha ma'lumotlar to'g'ri formatda kiritilishi shart" })
+  }
+
+  finalizeExpiredAttempts()
+
+  const attempt = store.find("attempts", { id, userId: req.user.id })[0]
+
+  if (!attempt) {
+    return res.status(404).json({ error: "Urinish topilmadi" })
+  }
+
+  if (attempt.status !== "in-progress") {
+    return res.status(409).json({ error: "Bu urinish allaqachon yakunlangan" })
+  }
+
+  const saved = saveAttemptAnswers(attempt, answers)
+
+  res.json({ message: "Javoblar saqlandi", savedAt: saved.savedAt, deadline: saved.deadline })
+})
+
+// Results routes
+// Submit a timed attempt; answers sent after the deadline plus grace period are discarded
+// and the attempt is graded with the answers saved before time ran out
+app.post("/api/results", authenticateToken, (req, res) => {
+  const { testId, attemptId, answers } = req.body
+  const userId = req.user.id
+
+  if (!testId || !attemptId || !answers || !Array.isArray(answers)) {
+    return res.status(400).json({ error: "Barcha ma'lumotlar to'g'ri formatda kiritilishi shart" })
+  }
+
+  // Get the test
+  const tests = readDataFile("tests.json")
+  const test = tests.find((t) => t.id === testId)
+
+  if (!test) {
+    return res.status(404).json({ error: "Test topilmadi" })
+  }
+
+  const attempt = store.find("attempts", { id: attemptId, userId, testId })[0]
+
+  if (!attempt) {
+    return res.status(404).json({ error: "Urinish topilmadi" })
+  }
+
+  if (attempt.status !== "in-progress") {
+    return res.status(409).json({ error: "Bu urinish allaqachon yakunlangan", resultId: attempt.resultId })
+  }
+
+  // Grades, stores the result and queues the Telegram notification (see lib/attempts)
+  const { result: newResult, late } = submitAttempt(attempt, test, answers)
 
   res.status(201).json({
     id: newResult.id,
     score: newResult.score,
     correctCount: newResult.correctCount,
     totalQuestions: newResult.totalQuestions,
+    earnedPoints: newResult.earnedPoints,
+    maxPoints: newResult.maxPoints,
+    startedAt: newResult.startedAt,
+    finishedAt: newResult.finishedAt,
+    timeSpent: newResult.timeSpent,
+    late,
   })
 })
 
 app.get("/api/results", authenticateToken, (req, res) => {
-  const results = readDataFile("results.json")
+  finalizeExpiredAttempts()
+
+  // Students only load their own results
+  const results = isStaff(req.user) ? readDataFile("results.json") : store.find("results", { userId: req.user.id })
   const tests = readDataFile("tests.json")
   const users = readDataFile("users.json")
 
   // Filter and format results based on user role
   let filteredResults
-  if (req.user.role === "admin") {
-    filteredResults = results.map((result) => {
-      const test = tests.find((t) => t.id === result.testId)
-      const user = users.find((u) => u.id === result.userId)
-
-      return {
-        id: result.id,
-        testId: result.testId,
-        testTitle: test ? test.title : "Unknown Test",
-        userId: result.userId,
-        userName: user ? user.name : "Unknown User",
-        score: result.score,
-        correctCount: result.correctCount,
-        totalQuestions: result.totalQuestions,
-        submittedAt: result.submittedAt,
-      }
-    })
+  if (isStaff(req.user)) {
+    // Admins see every result, teachers the results of their own tests
+    const testIds = managedTests(req.user, tests).map((t) => t.id)
+    filteredResults = results.filter((r) => testIds.includes(r.testId)).map((result) =>
+      summarizeResult(result, {
+        test: tests.find((t) => t.id === result.testId),
+        user: users.find((u) => u.id === result.userId) || null,
+      }),
+    )
   } else {
     // For students, only show their own results
     filteredResults = results
       .filter((r) => r.userId === req.user.id)
-      .map((result) => {
-        const test = tests.find((t) => t.id === result.testId)
-
-        return {
-          id: result.id,
-          testId: result.testId,
-          testTitle: test ? test.title : "Unknown Test",
-          score: result.score,
-          correctCount: result.correctCount,
-          totalQuestions: result.totalQuestions,
-          submittedAt: result.submittedAt,
-        }
-      })
+      .map((result) => summarizeResult(result, { test: tests.find((t) => t.id === result.testId) }))
   }
 
   res.json(filteredResults)
@@ -782,28 +1982,35 @@ app.get("/api/results", authenticateToken, (req, res) => {
 
 app.get("/api/results/:id", authenticateToken, (req, res) => {
   const { id } = req.params
-  const results = readDataFile("results.json")
-  const result = results.find((r) => r.id === id)
+  const [result] = store.find("results", { id })
 
   if (!result) {
     return res.status(404).json({ error: "Natija topilmadi" })
   }
 
-  // Check if the user is authorized to view this result
-  if (req.user.role !== "admin" && result.userId !== req.user.id) {
-    return res.status(403).json({ error: "Siz bu natijani ko'rish huquqiga ega emassiz" })
-  }
-
   // Get additional info
   const tests = readDataFile("tests.json")
   const users = readDataFile("users.json")
   const test = tests.find((t) => t.id === result.testId)
   const user = users.find((u) => u.id === result.userId)
+  const manages = canManageTest(req.user, test)
+
+  // Check if the user is authorized to view this result
+  if (!manages && result.userId !== req.user.id) {
+    return res.status(403).json({ error: "Siz bu natijani ko'rish huquqiga ega emassiz" })
+  }
+
+  // The version the result was graded against, not the test as it is now;
+  // regraded questions show their corrected definition
+  const pinned = testAtVersion(test, result.versionId)
+  const paper = pinned ? resultPaper(result, test) : []
 
   const formattedResult = {
     ...result,
-    testTitle: test ? test.title : "Unknown Test",
+    testTitle: pinned ? pinned.title : "Unknown Test",
     userName: user ? user.name : "Unknown User",
+    // Rebuild the exact paper the student saw, in the same order
+    questions: manages ? paper : paper.map(toStudentQuestion),
   }
 
   res.json(formattedResult)
@@ -812,8 +2019,11 @@ app.get("/api/results/:id", authenticateToken, (req, res) => {
 // Handle Telegram webhook if in production mode
 if (process.env.NODE_ENV === "production" && bot) {
   app.post(`/bot${process.env.TELEGRAM_BOT_TOKEN}`, (req, res) => {
-    bot.processUpdate(req.body)
-    res.sendStatus(200)
+    // Telegraf resolves once the update has been handled
+    bot.handleUpdate(req.body, res).catch((err) => {
+      console.error("Error handling Telegram update:", err)
+      if (!res.headersSent) res.sendStatus(200)
+    })
   })
 }
 